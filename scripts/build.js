@@ -1,8 +1,10 @@
 // Simple build script using esbuild for reliable ESM→CJS transformation
 import { build } from 'esbuild';
-import { rm } from 'fs/promises';
+import { rm, chmod } from 'fs/promises';
 
 const entryPoint = 'src/imguri.js';
+const cliEntryPoint = 'src/bin.js';
+const pluginEntryPoints = ['esbuild', 'rollup', 'vite', 'webpack'];
 
 async function buildAll() {
   console.log('🔨 Building imguri...\n');
@@ -18,7 +20,7 @@ async function buildAll() {
     target: 'node18',
     format: 'esm',
     outfile: 'dist/index.mjs',
-    external: ['mime-types'],
+    external: ['mime-types', 'undici'],
   });
   console.log('✅ Generated dist/index.mjs');
 
@@ -30,10 +32,42 @@ async function buildAll() {
     target: 'node18',
     format: 'cjs',
     outfile: 'dist/index.cjs',
-    external: ['mime-types'],
+    external: ['mime-types', 'undici'],
   });
   console.log('✅ Generated dist/index.cjs');
 
+  // Build bundler plugins, each usable from ESM and CJS
+  for (const plugin of pluginEntryPoints) {
+    for (const [format, extension] of [
+      ['esm', 'mjs'],
+      ['cjs', 'cjs'],
+    ]) {
+      await build({
+        entryPoints: [`src/plugins/${plugin}.js`],
+        bundle: true,
+        platform: 'node',
+        target: 'node18',
+        format,
+        outfile: `dist/${plugin}.${extension}`,
+        external: ['mime-types', 'undici'],
+      });
+    }
+    console.log(`✅ Generated dist/${plugin}.mjs and dist/${plugin}.cjs`);
+  }
+
+  // Build CLI executable
+  await build({
+    entryPoints: [cliEntryPoint],
+    bundle: true,
+    platform: 'node',
+    target: 'node18',
+    format: 'esm',
+    outfile: 'dist/cli.mjs',
+    external: ['mime-types', 'undici'],
+  });
+  await chmod('dist/cli.mjs', 0o755);
+  console.log('✅ Generated dist/cli.mjs');
+
   console.log('\n✨ Build complete!\n');
 }
 
@@ -0,0 +1,81 @@
+import { readFile, writeFile, readdir, rename, rm, mkdir } from 'fs/promises';
+import { join } from 'path';
+
+// Entries and the temporary files they are written through; nothing else in dir is ours
+const ENTRY_FILE = /\.json(?:\.\d+\.\d+\.tmp)?$/;
+
+let tempCounter = 0;
+
+export function createMemoryStore(maxEntries) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) {
+        return null;
+      }
+
+      // Re-insert to mark as most recently used
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+export function createDirectoryStore(dir) {
+  const pathFor = (key) => join(dir, `${key}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(pathFor(key), 'utf8'));
+      } catch {
+        // Missing or corrupt entries are treated as cache misses
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      await mkdir(dir, { recursive: true });
+
+      const tempPath = `${pathFor(key)}.${process.pid}.${tempCounter++}.tmp`;
+      await writeFile(tempPath, JSON.stringify(entry));
+      await rename(tempPath, pathFor(key));
+    },
+
+    async clear() {
+      let files;
+      try {
+        files = await readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      await Promise.all(
+        files
+          .filter((file) => file.isFile() && ENTRY_FILE.test(file.name))
+          .map((file) => rm(join(dir, file.name), { force: true }))
+      );
+    },
+  };
+}
@@ -1,6 +1,6 @@
-import { readFile, access, stat } from 'fs/promises';
-import { constants } from 'fs';
-import { lookup } from 'mime-types';
+import { readFile, writeFile, access, stat } from 'fs/promises';
+import { constants, createReadStream } from 'fs';
+import { lookup, extension } from 'mime-types';
 
 export async function fileExists(filePath) {
   try {
@@ -16,10 +16,27 @@ export async function getFileSize(filePath) {
   return stats.size;
 }
 
+export async function getFileStats(filePath) {
+  const stats = await stat(filePath);
+  return { size: stats.size, mtimeMs: stats.mtimeMs, isFile: stats.isFile() };
+}
+
 export function getMimeType(filePath) {
   return lookup(filePath) || null;
 }
 
-export async function readFileBuffer(filePath) {
-  return readFile(filePath);
+export function getExtension(mimeType) {
+  return extension(mimeType) || null;
+}
+
+export async function readFileBuffer(filePath, options = {}) {
+  return readFile(filePath, { signal: options.signal });
+}
+
+export function createFileStream(filePath, options = {}) {
+  return createReadStream(filePath, { signal: options.signal });
+}
+
+export async function writeFileBuffer(filePath, buffer) {
+  return writeFile(filePath, buffer);
 }
@@ -1,52 +1,290 @@
-import { DEFAULT_TIMEOUT } from '../config.js';
+import { DEFAULT_TIMEOUT, DEFAULT_MAX_REDIRECTS } from '../config.js';
+import {
+  ImguriError,
+  HttpError,
+  SizeLimitError,
+  TimeoutError,
+  NetworkPolicyError,
+} from '../errors.js';
 
-export async function fetchMetadata(url, timeout = DEFAULT_TIMEOUT) {
+function validators(response) {
+  return {
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+  };
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function httpError(response, url) {
+  return new HttpError(`HTTP ${response.status}: ${response.statusText}`, {
+    status: response.status,
+    url,
+    retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+  });
+}
+
+// Network failures and timeouts may succeed on retry; HTTP errors are judged by status
+function markTransient(error) {
+  error.transient = true;
+  return error;
+}
+
+function networkError(error, url) {
+  return markTransient(
+    new ImguriError(error.message, { code: 'ERR_NETWORK', url, cause: error })
+  );
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Redirects are followed by hand so every hop can be checked and recorded
+async function send(url, init, options = {}) {
+  const {
+    checkUrl,
+    headersFor,
+    dispatcherFor,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    allowDowngrade = false,
+  } = options;
+  const redirects = [];
+  let current = url;
+
+  for (;;) {
+    if (checkUrl) {
+      await checkUrl(current);
+    }
+
+    // Headers and proxy are chosen per hop, so credentials follow the host they belong to
+    const headers = { ...headersFor?.(current), ...init.headers };
+    const dispatcher = await dispatcherFor?.(current);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        ...init,
+        headers,
+        redirect: 'manual',
+        ...(dispatcher ? { dispatcher } : {}),
+      });
+    } catch (error) {
+      // Timeouts and cancellation reject with the abort reason, which is passed on as is
+      if (init.signal?.aborted) throw error;
+      // A policy check made while connecting is reported like the one made before
+      if (error.cause instanceof NetworkPolicyError) {
+        error.cause.url ??= current;
+        throw error.cause;
+      }
+      throw networkError(error, current);
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, url: current, redirects };
+    }
+
+    await response.body?.cancel();
+    const next = new URL(location, current).href;
+
+    if (redirects.length >= maxRedirects) {
+      throw new ImguriError(`Too many redirects: more than ${maxRedirects} from ${url}`, {
+        code: 'ERR_TOO_MANY_REDIRECTS',
+        url,
+      });
+    }
+    if (!allowDowngrade && current.startsWith('https:') && next.startsWith('http:')) {
+      throw new ImguriError(`Redirect downgrade blocked: ${current} -> ${next}`, {
+        code: 'ERR_REDIRECT_DOWNGRADE',
+        url: next,
+      });
+    }
+
+    redirects.push(current);
+    current = next;
+  }
+}
+
+// Aborts the request on timeout or when the caller's signal fires; returns a release function
+function abortOn(controller, timeout, signal, url) {
+  const timeoutId = setTimeout(() => {
+    const error = new TimeoutError(`Request timed out after ${timeout} ms: ${url}`, {
+      timeout,
+      url,
+    });
+    controller.abort(markTransient(error));
+  }, timeout);
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return () => {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  };
+}
+
+export async function fetchMetadata(url, timeout = DEFAULT_TIMEOUT, options = {}) {
+  const { headers = {}, signal } = options;
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const release = abortOn(controller, timeout, signal, url);
 
   try {
-    const response = await fetch(url, {
-      method: 'HEAD',
-      signal: controller.signal,
-    });
+    const {
+      response,
+      url: finalUrl,
+      redirects,
+    } = await send(url, { method: 'HEAD', headers, signal: controller.signal }, options);
+
+    if (response.status === 304) {
+      return {
+        notModified: true,
+        contentType: '',
+        contentLength: 0,
+        url: finalUrl,
+        redirects,
+        ...validators(response),
+      };
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw httpError(response, finalUrl);
     }
 
     const contentType = response.headers.get('content-type') || '';
     const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
 
-    return { contentType, contentLength };
+    return {
+      notModified: false,
+      contentType,
+      contentLength,
+      url: finalUrl,
+      redirects,
+      ...validators(response),
+    };
   } finally {
-    clearTimeout(timeoutId);
+    release();
   }
 }
 
-export async function fetchBuffer(url, timeout = DEFAULT_TIMEOUT) {
+function sizeLimitExceeded(received, maxBytes, url) {
+  return new SizeLimitError(
+    `Size limit exceeded: download aborted after receiving ${received} bytes (limit ${maxBytes} bytes)`,
+    { actual: received, limit: maxBytes, url }
+  );
+}
+
+async function* readChunks(body, maxBytes, controller, release, url) {
+  let received = 0;
+  let complete = false;
+
+  try {
+    if (body) {
+      try {
+        for await (const chunk of body) {
+          received += chunk.length;
+          if (received > maxBytes) {
+            throw sizeLimitExceeded(received, maxBytes, url);
+          }
+          yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        }
+      } catch (error) {
+        // A body that fails part-way through is as transient as a failed request
+        if (error instanceof SizeLimitError || controller.signal.aborted) throw error;
+        throw networkError(error, url);
+      }
+    }
+    complete = true;
+  } finally {
+    release();
+    if (!complete) {
+      controller.abort();
+    }
+  }
+}
+
+export async function fetchStream(url, timeout = DEFAULT_TIMEOUT, options = {}) {
+  const { maxBytes = Infinity, headers = {}, signal } = options;
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const release = abortOn(controller, timeout, signal, url);
 
   try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-    });
+    const {
+      response,
+      url: finalUrl,
+      redirects,
+    } = await send(url, { headers, signal: controller.signal }, options);
+
+    if (response.status === 304) {
+      release();
+      return {
+        notModified: true,
+        stream: readChunks(null, maxBytes, controller, release, finalUrl),
+        contentType: '',
+        url: finalUrl,
+        redirects,
+        ...validators(response),
+      };
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw httpError(response, finalUrl);
     }
 
     const contentType =
       response.headers.get('content-type') || 'application/octet-stream';
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
 
-    return { buffer, contentType };
-  } finally {
-    clearTimeout(timeoutId);
+    if (contentLength > maxBytes) {
+      throw new SizeLimitError(
+        `Size limit exceeded: ${contentLength} > ${maxBytes} bytes`,
+        {
+          actual: contentLength,
+          limit: maxBytes,
+          url: finalUrl,
+        }
+      );
+    }
+
+    return {
+      notModified: false,
+      stream: readChunks(response.body, maxBytes, controller, release, finalUrl),
+      contentType,
+      url: finalUrl,
+      redirects,
+      ...validators(response),
+    };
+  } catch (error) {
+    release();
+    controller.abort();
+    throw error;
   }
 }
 
+export async function fetchBuffer(url, timeout = DEFAULT_TIMEOUT, options = {}) {
+  const { stream, ...response } = await fetchStream(url, timeout, options);
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks), ...response };
+}
+
 export function isImageContentType(contentType) {
   return /^image\//i.test(contentType);
 }
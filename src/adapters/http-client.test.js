@@ -4,7 +4,9 @@
 
 import { describe, it, expect, afterEach } from 'vitest';
 import nock from 'nock';
+import { Readable } from 'stream';
 import { fetchMetadata, fetchBuffer, isImageContentType } from './http-client.js';
+import { HttpError, ImguriError, SizeLimitError, TimeoutError } from '../errors.js';
 
 const TEST_HOST = 'https://example.com';
 const TEST_PATH = '/image.png';
@@ -72,6 +74,68 @@ describe('fetchMetadata', () => {
     );
   });
 
+  it('should expose status and Retry-After on HTTP errors', async () => {
+    nock(TEST_HOST).head(TEST_PATH).reply(429, '', { 'retry-after': '2' });
+
+    await expect(fetchMetadata(TEST_URL)).rejects.toMatchObject({
+      status: 429,
+      retryAfter: 2000,
+    });
+  });
+
+  it('should parse Retry-After dates', async () => {
+    const date = new Date(Date.now() + 60_000).toUTCString();
+    nock(TEST_HOST).head(TEST_PATH).reply(503, '', { 'retry-after': date });
+
+    const error = await fetchMetadata(TEST_URL).catch((error) => error);
+    expect(error.retryAfter).toBeGreaterThan(50_000);
+    expect(error.retryAfter).toBeLessThanOrEqual(60_000);
+  });
+
+  it('should mark network errors as transient', async () => {
+    nock(TEST_HOST).head(TEST_PATH).replyWithError('socket hang up');
+
+    await expect(fetchMetadata(TEST_URL)).rejects.toMatchObject({ transient: true });
+  });
+
+  it('should wrap network errors with their cause', async () => {
+    nock(TEST_HOST).head(TEST_PATH).replyWithError('socket hang up');
+
+    const error = await fetchMetadata(TEST_URL).catch((caught) => caught);
+    expect(error).toBeInstanceOf(ImguriError);
+    expect(error).toMatchObject({ code: 'ERR_NETWORK', url: TEST_URL });
+    expect(error.cause).toBeInstanceOf(Error);
+  });
+
+  it('should throw HttpError with status and final URL', async () => {
+    nock(TEST_HOST)
+      .head(TEST_PATH)
+      .reply(301, '', { location: '/moved.png' })
+      .head('/moved.png')
+      .reply(404);
+
+    const error = await fetchMetadata(TEST_URL).catch((caught) => caught);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({
+      code: 'ERR_HTTP',
+      status: 404,
+      url: `${TEST_HOST}/moved.png`,
+    });
+  });
+
+  it('should throw a transient TimeoutError', async () => {
+    nock(TEST_HOST).head(TEST_PATH).delay(200).reply(200);
+
+    const error = await fetchMetadata(TEST_URL, 50).catch((caught) => caught);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toMatchObject({
+      code: 'ERR_TIMEOUT',
+      timeout: 50,
+      url: TEST_URL,
+      transient: true,
+    });
+  }, 1000);
+
   it('should timeout after configured duration', async () => {
     nock(TEST_HOST)
       .head(TEST_PATH)
@@ -152,6 +216,60 @@ describe('fetchBuffer', () => {
     expect(result.contentType).toBe('image/jpeg');
   });
 
+  it('should accept responses within maxBytes', async () => {
+    nock(TEST_HOST).get(TEST_PATH).reply(200, testPngBuffer, {
+      'content-type': 'image/png',
+    });
+
+    const result = await fetchBuffer(TEST_URL, 1000, { maxBytes: testPngBuffer.length });
+    expect(result.buffer.equals(testPngBuffer)).toBe(true);
+  });
+
+  it('should reject before reading when Content-Length exceeds maxBytes', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(200, Buffer.alloc(5000), { 'content-length': '5000' });
+
+    await expect(fetchBuffer(TEST_URL, 1000, { maxBytes: 1000 })).rejects.toThrow(
+      'Size limit exceeded: 5000 > 1000 bytes'
+    );
+  });
+
+  it('should report the size and limit on SizeLimitError', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(200, Buffer.alloc(5000), { 'content-length': '5000' });
+
+    const error = await fetchBuffer(TEST_URL, 1000, { maxBytes: 1000 }).catch(
+      (caught) => caught
+    );
+    expect(error).toBeInstanceOf(SizeLimitError);
+    expect(error).toMatchObject({ actual: 5000, limit: 1000, url: TEST_URL });
+  });
+
+  it('should throw TimeoutError when the body stalls', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .delayBody(300)
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    await expect(fetchBuffer(TEST_URL, 100)).rejects.toBeInstanceOf(TimeoutError);
+  }, 1000);
+
+  it('should abort streaming download once maxBytes is crossed', async () => {
+    const body = Readable.from(Array.from({ length: 1000 }, () => Buffer.alloc(1024)));
+
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(200, () => body, {
+        'content-type': 'image/png',
+      });
+
+    await expect(fetchBuffer(TEST_URL, 5000, { maxBytes: 4096 })).rejects.toThrow(
+      /^Size limit exceeded: download aborted after receiving \d+ bytes \(limit 4096 bytes\)$/
+    );
+  });
+
   it('should handle redirects', async () => {
     nock(TEST_HOST)
       .get(TEST_PATH)
@@ -166,6 +284,87 @@ describe('fetchBuffer', () => {
     expect(result.buffer).toBeInstanceOf(Buffer);
     expect(result.contentType).toBe('image/png');
   });
+
+  it('should report the final URL and redirect chain', async () => {
+    nock(TEST_HOST).get(TEST_PATH).reply(301, '', { location: '/moved.png' });
+    nock(TEST_HOST).get('/moved.png').reply(302, '', { location: '/final.png' });
+    nock(TEST_HOST).get('/final.png').reply(200, testPngBuffer);
+
+    const result = await fetchBuffer(TEST_URL);
+
+    expect(result.url).toBe(`${TEST_HOST}/final.png`);
+    expect(result.redirects).toEqual([TEST_URL, `${TEST_HOST}/moved.png`]);
+  });
+
+  it('should report no redirects for direct responses', async () => {
+    nock(TEST_HOST).head(TEST_PATH).reply(200, '', { 'content-type': 'image/png' });
+
+    const result = await fetchMetadata(TEST_URL);
+
+    expect(result.url).toBe(TEST_URL);
+    expect(result.redirects).toEqual([]);
+  });
+
+  it('should enforce maxRedirects', async () => {
+    nock(TEST_HOST).get(TEST_PATH).reply(302, '', { location: '/one.png' });
+    nock(TEST_HOST).get('/one.png').reply(302, '', { location: '/two.png' });
+
+    await expect(fetchBuffer(TEST_URL, 1000, { maxRedirects: 1 })).rejects.toThrow(
+      'Too many redirects: more than 1'
+    );
+  });
+
+  it('should reject any redirect when maxRedirects is 0', async () => {
+    nock(TEST_HOST).head(TEST_PATH).reply(302, '', { location: '/one.png' });
+
+    await expect(fetchMetadata(TEST_URL, 1000, { maxRedirects: 0 })).rejects.toThrow(
+      'Too many redirects'
+    );
+  });
+
+  it('should block HTTPS to HTTP downgrades by default', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(302, '', { location: 'http://example.com/image.png' });
+
+    await expect(fetchBuffer(TEST_URL)).rejects.toThrow(
+      `Redirect downgrade blocked: ${TEST_URL} -> http://example.com/image.png`
+    );
+  });
+
+  it('should follow downgrades when allowDowngrade is set', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(302, '', { location: 'http://example.com/image.png' });
+    nock('http://example.com').get(TEST_PATH).reply(200, testPngBuffer);
+
+    const result = await fetchBuffer(TEST_URL, 1000, { allowDowngrade: true });
+    expect(result.url).toBe('http://example.com/image.png');
+  });
+
+  it('should check every redirect hop with checkUrl', async () => {
+    nock(TEST_HOST).get(TEST_PATH).reply(301, '', { location: '/redirected.png' });
+    nock(TEST_HOST).get('/redirected.png').reply(200, testPngBuffer);
+
+    const checked = [];
+    await fetchBuffer(TEST_URL, 1000, { checkUrl: async (url) => checked.push(url) });
+
+    expect(checked).toEqual([TEST_URL, `${TEST_HOST}/redirected.png`]);
+  });
+
+  it('should stop at the hop checkUrl rejects', async () => {
+    nock(TEST_HOST)
+      .get(TEST_PATH)
+      .reply(302, '', { location: 'https://127.0.0.1/admin' });
+
+    const checkUrl = async (url) => {
+      if (url.includes('127.0.0.1')) throw new Error(`Blocked: ${url}`);
+    };
+
+    await expect(fetchBuffer(TEST_URL, 1000, { checkUrl })).rejects.toThrow(
+      'Blocked: https://127.0.0.1/admin'
+    );
+  });
 });
 
 describe('isImageContentType', () => {
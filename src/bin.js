@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { run } from './cli.js';
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(`imguri: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,78 @@
+import { createHash } from 'crypto';
+import { createMemoryStore, createDirectoryStore } from './adapters/cache-store.js';
+import { DEFAULT_CACHE_ENTRIES } from './config.js';
+
+// Options that change the encoded output, with their defaults, form part of the key
+const KEY_OPTIONS = { encoding: 'base64', strictMime: false };
+
+export function createCache(options = {}) {
+  const {
+    maxEntries = DEFAULT_CACHE_ENTRIES,
+    dir = null,
+    maxAge = 0,
+    offline = false,
+  } = options;
+
+  const memory = createMemoryStore(maxEntries);
+  const disk = dir ? createDirectoryStore(dir) : null;
+  const counters = { hits: 0, misses: 0, revalidations: 0 };
+
+  return {
+    offline,
+
+    // variant stands for anything else the response depends on, such as request headers
+    key(source, encodeOptions = {}, variant = null) {
+      const parts = Object.entries(KEY_OPTIONS).map(
+        ([name, fallback]) => encodeOptions[name] ?? fallback
+      );
+      if (variant !== null) parts.push(variant);
+      return createHash('sha256')
+        .update(JSON.stringify([source, ...parts]))
+        .digest('hex');
+    },
+
+    async get(key) {
+      const cached = await memory.get(key);
+      if (cached || !disk) {
+        return cached;
+      }
+
+      const stored = await disk.get(key);
+      if (stored) {
+        await memory.set(key, stored);
+      }
+      return stored;
+    },
+
+    async set(key, entry) {
+      const stored = { ...entry, storedAt: Date.now() };
+      await memory.set(key, stored);
+      if (disk) {
+        await disk.set(key, stored);
+      }
+      return stored;
+    },
+
+    isFresh(entry) {
+      return offline || (maxAge > 0 && Date.now() - entry.storedAt < maxAge);
+    },
+
+    record(event) {
+      counters[event]++;
+    },
+
+    stats() {
+      return { ...counters, entries: memory.size };
+    },
+
+    async clear() {
+      await memory.clear();
+      if (disk) {
+        await disk.clear();
+      }
+      Object.keys(counters).forEach((name) => {
+        counters[name] = 0;
+      });
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Tests for the encode cache
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, rm, readdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createCache } from './cache.js';
+
+const entry = { dataUri: 'data:image/png;base64,AA==', encoding: 'base64', size: 1 };
+
+describe('createCache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = join(await mkdtemp(join(tmpdir(), 'imguri-cache-')), 'cache');
+  });
+
+  afterEach(async () => {
+    await rm(join(cacheDir, '..'), { recursive: true, force: true });
+  });
+
+  it('should derive different keys for different output options', () => {
+    const cache = createCache();
+
+    expect(cache.key('a.png')).toBe(cache.key('a.png', { encoding: 'base64' }));
+    expect(cache.key('a.png')).not.toBe(cache.key('a.png', { encoding: 'percent' }));
+    expect(cache.key('a.png')).not.toBe(cache.key('a.png', { strictMime: true }));
+    expect(cache.key('a.png')).not.toBe(cache.key('b.png'));
+  });
+
+  it('should keep variants apart', () => {
+    const cache = createCache();
+
+    expect(cache.key('a.png', {}, null)).toBe(cache.key('a.png'));
+    expect(cache.key('a.png', {}, { token: 'a' })).not.toBe(cache.key('a.png'));
+    expect(cache.key('a.png', {}, { token: 'a' })).not.toBe(
+      cache.key('a.png', {}, { token: 'b' })
+    );
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    await cache.set('a', entry);
+    await cache.set('b', entry);
+    await cache.get('a');
+    await cache.set('c', entry);
+
+    expect(await cache.get('a')).toMatchObject(entry);
+    expect(await cache.get('b')).toBeNull();
+    expect(cache.stats().entries).toBe(2);
+  });
+
+  it('should persist entries across instances when given a directory', async () => {
+    await createCache({ dir: cacheDir }).set('a', entry);
+
+    const cache = createCache({ dir: cacheDir });
+    expect(await cache.get('a')).toMatchObject(entry);
+    expect(await readdir(cacheDir)).toEqual(['a.json']);
+  });
+
+  it('should treat entries within maxAge as fresh', async () => {
+    const cache = createCache({ maxAge: 60_000 });
+    const stored = await cache.set('a', entry);
+
+    expect(cache.isFresh(stored)).toBe(true);
+    expect(cache.isFresh({ ...stored, storedAt: Date.now() - 120_000 })).toBe(false);
+    expect(createCache().isFresh(stored)).toBe(false);
+    expect(createCache({ offline: true }).isFresh({ ...stored, storedAt: 0 })).toBe(true);
+  });
+
+  it('should count events and reset on clear', async () => {
+    const cache = createCache({ dir: cacheDir });
+    await cache.set('a', entry);
+    cache.record('hits');
+    cache.record('misses');
+    cache.record('revalidations');
+
+    expect(cache.stats()).toEqual({ hits: 1, misses: 1, revalidations: 1, entries: 1 });
+
+    await cache.clear();
+    expect(cache.stats()).toEqual({ hits: 0, misses: 0, revalidations: 0, entries: 0 });
+    expect(await cache.get('a')).toBeNull();
+  });
+
+  it('should only remove its own files from the directory on clear', async () => {
+    const cache = createCache({ dir: cacheDir });
+    await cache.set('a', entry);
+    await writeFile(join(cacheDir, 'b.json.123.0.tmp'), '{');
+    await writeFile(join(cacheDir, 'index.html'), '<html></html>');
+    await mkdir(join(cacheDir, 'assets'));
+
+    await cache.clear();
+    expect((await readdir(cacheDir)).sort()).toEqual(['assets', 'index.html']);
+    await expect(createCache({ dir: join(cacheDir, 'missing') }).clear()).resolves.toBe(
+      undefined
+    );
+  });
+});
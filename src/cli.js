@@ -0,0 +1,226 @@
+import { parseArgs } from 'util';
+import { createRequire } from 'module';
+import { encode } from './imguri.js';
+import {
+  DEFAULT_SIZE_LIMIT,
+  DEFAULT_TIMEOUT,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_RETRIES,
+  DEFAULT_PROBE,
+} from './config.js';
+
+const FORMATS = ['uri', 'json', 'ndjson'];
+const ENCODINGS = ['base64', 'percent', 'auto'];
+const PROBES = ['head', 'get', 'auto'];
+const SYMLINK_POLICIES = ['follow', 'deny', 'within-roots'];
+
+const USAGE = `Usage: imguri [options] <path|url|-> [...]
+
+Encode local files, HTTP/HTTPS URLs, file: URLs and data URIs to data URIs.
+Reads newline-separated paths from stdin when given "-" or no paths.
+
+Options:
+  -f, --format <fmt>       Output format: uri, json, ndjson (default: uri)
+  -e, --encoding <enc>     Data URI encoding: base64, percent, auto (default: base64)
+  -s, --size-limit <n>     Max bytes per file (default: ${DEFAULT_SIZE_LIMIT})
+      --force              Override size limit
+      --strict-mime        Reject files whose content does not match their declared type
+  -t, --timeout <ms>       HTTP timeout in milliseconds (default: ${DEFAULT_TIMEOUT})
+  -c, --concurrency <n>    Max parallel operations (default: ${DEFAULT_CONCURRENCY})
+      --probe <mode>       Remote probe: head, get, auto (default: ${DEFAULT_PROBE})
+  -r, --retries <n>        Retry transient HTTP failures n times (default: ${DEFAULT_RETRIES})
+      --base-dir <dir>     Directory relative paths resolve against (default: cwd)
+      --root <dir>         Only read files under this directory; repeatable
+      --symlinks <mode>    Symlink policy: follow, deny, within-roots (default: within-roots)
+  -h, --help               Show this help
+  -v, --version            Show version
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'uri' },
+  encoding: { type: 'string', short: 'e', default: 'base64' },
+  'size-limit': { type: 'string', short: 's' },
+  force: { type: 'boolean', default: false },
+  'strict-mime': { type: 'boolean', default: false },
+  timeout: { type: 'string', short: 't' },
+  concurrency: { type: 'string', short: 'c' },
+  retries: { type: 'string', short: 'r' },
+  probe: { type: 'string', default: DEFAULT_PROBE },
+  'base-dir': { type: 'string' },
+  root: { type: 'string', multiple: true },
+  symlinks: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false },
+};
+
+class UsageError extends Error {}
+
+function parseInteger(name, value, min = 1) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    const expected = min === 0 ? 'a non-negative integer' : 'a positive integer';
+    throw new UsageError(`Invalid --${name}: expected ${expected}, got "${value}"`);
+  }
+
+  return number;
+}
+
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(
+      `Invalid --format: expected one of ${FORMATS.join(', ')}, got "${values.format}"`
+    );
+  }
+
+  if (!ENCODINGS.includes(values.encoding)) {
+    throw new UsageError(
+      `Invalid --encoding: expected one of ${ENCODINGS.join(', ')}, got "${values.encoding}"`
+    );
+  }
+
+  if (!PROBES.includes(values.probe)) {
+    throw new UsageError(
+      `Invalid --probe: expected one of ${PROBES.join(', ')}, got "${values.probe}"`
+    );
+  }
+
+  if (values.symlinks !== undefined && !SYMLINK_POLICIES.includes(values.symlinks)) {
+    throw new UsageError(
+      `Invalid --symlinks: expected one of ${SYMLINK_POLICIES.join(', ')}, got "${values.symlinks}"`
+    );
+  }
+
+  const options = {
+    force: values.force,
+    strictMime: values['strict-mime'],
+    encoding: values.encoding,
+    probe: values.probe,
+  };
+  const sizeLimit = parseInteger('size-limit', values['size-limit']);
+  const timeout = parseInteger('timeout', values.timeout);
+  const concurrency = parseInteger('concurrency', values.concurrency);
+  const retries = parseInteger('retries', values.retries, 0);
+
+  if (sizeLimit !== undefined) options.sizeLimit = sizeLimit;
+  if (timeout !== undefined) options.timeout = timeout;
+  if (concurrency !== undefined) options.concurrency = concurrency;
+  if (retries !== undefined) options.retry = { retries };
+  if (values['base-dir'] !== undefined) options.baseDir = values['base-dir'];
+  if (values.root !== undefined) options.roots = values.root;
+  if (values.symlinks !== undefined) options.symlinks = values.symlinks;
+
+  return {
+    paths: positionals,
+    format: values.format,
+    help: values.help,
+    version: values.version,
+    options,
+  };
+}
+
+async function readStdinPaths(stdin) {
+  let text = '';
+  stdin.setEncoding('utf8');
+  for await (const chunk of stdin) {
+    text += chunk;
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+async function collectPaths(paths, stdin) {
+  const readsStdin = paths.length === 0 ? !stdin.isTTY : paths.includes('-');
+  if (!readsStdin) {
+    return paths;
+  }
+
+  const stdinPaths = await readStdinPaths(stdin);
+  return paths.length === 0
+    ? stdinPaths
+    : paths.flatMap((path) => (path === '-' ? stdinPaths : [path]));
+}
+
+function resultEntry({ data, error, attempts }) {
+  return {
+    data,
+    error: error ? error.message : null,
+    code: error ? (error.code ?? null) : null,
+    attempts,
+  };
+}
+
+function writeResults(results, format, stdout, stderr) {
+  if (format === 'json') {
+    const output = {};
+    for (const [path, result] of results) {
+      output[path] = resultEntry(result);
+    }
+    stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    return;
+  }
+
+  for (const [path, result] of results) {
+    const { data, error } = result;
+    if (format === 'ndjson') {
+      stdout.write(`${JSON.stringify({ path, ...resultEntry(result) })}\n`);
+    } else if (error) {
+      stderr.write(`imguri: ${path}: ${error.message}\n`);
+    } else {
+      stdout.write(`${data}\n`);
+    }
+  }
+}
+
+export async function run(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`imguri: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  if (args.version) {
+    const { version } = createRequire(import.meta.url)('../package.json');
+    stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  const paths = await collectPaths(args.paths, stdin);
+  if (paths.length === 0) {
+    stderr.write(`imguri: no input paths\n\n${USAGE}`);
+    return 2;
+  }
+
+  const results = await encode(paths, args.options);
+  writeResults(results, args.format, stdout, stderr);
+
+  for (const { error } of results.values()) {
+    if (error) return 1;
+  }
+  return 0;
+}
@@ -0,0 +1,216 @@
+/**
+ * Tests for command-line interface
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { PassThrough, Readable } from 'stream';
+import { writeFile, rm, mkdtemp } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { run, parseCliArgs } from './cli.js';
+
+let testDir;
+let testImagePath;
+
+// Small 1x1 PNG (red pixel)
+const testPngBuffer = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49, 0x48,
+  0x44, 0x52, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x08, 0x02, 0x00, 0x00,
+  0x00, 0x90, 0x77, 0x53, 0xde, 0x00, 0x00, 0x00, 0x0c, 0x49, 0x44, 0x41, 0x54, 0x08,
+  0xd7, 0x63, 0xf8, 0xcf, 0xc0, 0x00, 0x00, 0x03, 0x01, 0x01, 0x00, 0x18, 0xdd, 0x8d,
+  0xb4, 0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+]);
+
+function capture() {
+  let text = '';
+  const stream = {
+    write(chunk) {
+      text += chunk;
+    },
+  };
+  return { stream, text: () => text };
+}
+
+async function runCli(argv, stdinText = null) {
+  const stdout = capture();
+  const stderr = capture();
+  const stdin =
+    stdinText === null
+      ? Object.assign(new PassThrough(), { isTTY: true })
+      : Readable.from([stdinText]);
+
+  const code = await run(argv, { stdin, stdout: stdout.stream, stderr: stderr.stream });
+  return { code, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+beforeAll(async () => {
+  testDir = await mkdtemp(join(tmpdir(), 'imguri-cli-test-'));
+  testImagePath = join(testDir, 'test.png');
+  await writeFile(testImagePath, testPngBuffer);
+});
+
+afterAll(async () => {
+  if (testDir) {
+    await rm(testDir, { recursive: true, force: true });
+  }
+});
+
+describe('parseCliArgs', () => {
+  it('should map flags to encode options', () => {
+    const args = parseCliArgs([
+      '--size-limit',
+      '1000',
+      '--force',
+      '-t',
+      '500',
+      '--concurrency=2',
+      'a.png',
+    ]);
+
+    expect(args.paths).toEqual(['a.png']);
+    expect(args.format).toBe('uri');
+    expect(args.options).toEqual({
+      force: true,
+      strictMime: false,
+      encoding: 'base64',
+      probe: 'auto',
+      sizeLimit: 1000,
+      timeout: 500,
+      concurrency: 2,
+    });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => parseCliArgs(['--format', 'xml'])).toThrow('Invalid --format');
+  });
+
+  it('should accept probe strategies', () => {
+    expect(parseCliArgs(['--probe', 'get', 'a.png']).options.probe).toBe('get');
+    expect(() => parseCliArgs(['--probe', 'options'])).toThrow('Invalid --probe');
+  });
+
+  it('should map path policy flags', () => {
+    const { options } = parseCliArgs([
+      '--base-dir',
+      'packages/site',
+      '--root',
+      'packages/site',
+      '--root',
+      'packages/shared',
+      '--symlinks',
+      'deny',
+      'a.png',
+    ]);
+    expect(options).toMatchObject({
+      baseDir: 'packages/site',
+      roots: ['packages/site', 'packages/shared'],
+      symlinks: 'deny',
+    });
+    expect(() => parseCliArgs(['--symlinks', 'never'])).toThrow('Invalid --symlinks');
+  });
+
+  it('should reject unknown encodings', () => {
+    expect(() => parseCliArgs(['-e', 'hex'])).toThrow('Invalid --encoding');
+  });
+
+  it('should reject non-numeric limits', () => {
+    expect(() => parseCliArgs(['--size-limit', 'big'])).toThrow('Invalid --size-limit');
+  });
+
+  it('should map retries to a retry policy', () => {
+    expect(parseCliArgs(['-r', '3', 'a.png']).options.retry).toEqual({ retries: 3 });
+    expect(parseCliArgs(['--retries', '0', 'a.png']).options.retry).toEqual({
+      retries: 0,
+    });
+    expect(() => parseCliArgs(['--retries=-1'])).toThrow(
+      'Invalid --retries: expected a non-negative integer'
+    );
+  });
+});
+
+describe('run', () => {
+  it('should print data URIs one per line', async () => {
+    const { code, stdout, stderr } = await runCli([testImagePath]);
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^data:image\/png;base64,\S+\n$/);
+    expect(stderr).toBe('');
+  });
+
+  it('should print JSON keyed by path', async () => {
+    const missing = join(testDir, 'missing.png');
+    const { code, stdout } = await runCli(['--format', 'json', testImagePath, missing]);
+    const output = JSON.parse(stdout);
+
+    expect(code).toBe(1);
+    expect(output[testImagePath].data).toMatch(/^data:image\/png;base64,/);
+    expect(output[testImagePath].error).toBeNull();
+    expect(output[missing].data).toBeNull();
+    expect(output[missing].error).toMatch('File not found');
+    expect(output[missing].code).toBe('ERR_NOT_FOUND');
+    expect(output[testImagePath].code).toBeNull();
+  });
+
+  it('should print NDJSON lines', async () => {
+    const { code, stdout } = await runCli(['-f', 'ndjson', testImagePath]);
+    const lines = stdout.trim().split('\n').map(JSON.parse);
+
+    expect(code).toBe(0);
+    expect(lines).toHaveLength(1);
+    expect(lines[0].path).toBe(testImagePath);
+    expect(lines[0].data).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should report errors on stderr and exit non-zero', async () => {
+    const { code, stdout, stderr } = await runCli([join(testDir, 'missing.png')]);
+
+    expect(code).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toMatch('File not found');
+  });
+
+  it('should read paths from stdin', async () => {
+    const { code, stdout } = await runCli(['-f', 'ndjson'], `${testImagePath}\n\n`);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).path).toBe(testImagePath);
+  });
+
+  it('should expand "-" to stdin paths', async () => {
+    const other = join(testDir, 'other.png');
+    await writeFile(other, testPngBuffer);
+
+    const { code, stdout } = await runCli(['-f', 'json', other, '-'], testImagePath);
+
+    expect(code).toBe(0);
+    expect(Object.keys(JSON.parse(stdout))).toEqual([other, testImagePath]);
+  });
+
+  it('should exit with usage error when no paths given', async () => {
+    const { code, stderr } = await runCli([]);
+
+    expect(code).toBe(2);
+    expect(stderr).toMatch('no input paths');
+  });
+
+  it('should exit with usage error on invalid options', async () => {
+    const { code, stderr } = await runCli(['--bogus']);
+
+    expect(code).toBe(2);
+    expect(stderr).toMatch('Usage: imguri');
+  });
+
+  it('should pass size limit through to encode', async () => {
+    const { code, stderr } = await runCli(['-s', '10', testImagePath]);
+
+    expect(code).toBe(1);
+    expect(stderr).toMatch('Size limit exceeded');
+  });
+
+  it('should print help', async () => {
+    const { code, stdout } = await runCli(['--help']);
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch('Usage: imguri');
+  });
+});
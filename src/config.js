@@ -2,3 +2,11 @@
 export const DEFAULT_SIZE_LIMIT = 131072; // 128KB - practical for modern images
 export const DEFAULT_TIMEOUT = 20000; // 20 seconds
 export const DEFAULT_CONCURRENCY = 10;
+export const DEFAULT_WATCH_DEBOUNCE = 100; // Coalesces the burst of events a single save produces
+export const DEFAULT_CACHE_ENTRIES = 500;
+export const DEFAULT_PROBE = 'auto'; // HEAD first, falling back to GET when HEAD is rejected
+export const DEFAULT_MAX_REDIRECTS = 20; // Same limit fetch applies by default
+export const DEFAULT_RETRIES = 0; // Retries are opt-in
+export const DEFAULT_RETRY_MIN_DELAY = 200; // 200ms before the first retry
+export const DEFAULT_RETRY_MAX_DELAY = 5000; // 5 seconds
+export const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
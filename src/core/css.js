@@ -0,0 +1,134 @@
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+const IDENT_CHAR = /[\w-]/;
+const WHITESPACE = /\s/;
+
+function unescapeCss(value) {
+  return value.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|([^\n]))/g, (_, hex, char) =>
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : char
+  );
+}
+
+function readString(css, start) {
+  const quote = css[start];
+  let i = start + 1;
+
+  while (i < css.length && css[i] !== quote && css[i] !== '\n') {
+    i += css[i] === '\\' ? 2 : 1;
+  }
+
+  return { raw: css.slice(start + 1, i), end: Math.min(i + 1, css.length), quote };
+}
+
+function readUrlToken(css, start) {
+  let i = start;
+  while (WHITESPACE.test(css[i])) i++;
+
+  let value;
+  let quote = '';
+  if (css[i] === '"' || css[i] === "'") {
+    const string = readString(css, i);
+    value = string.raw;
+    quote = string.quote;
+    i = string.end;
+    while (WHITESPACE.test(css[i])) i++;
+  } else {
+    const valueStart = i;
+    while (i < css.length && css[i] !== ')') {
+      i += css[i] === '\\' ? 2 : 1;
+    }
+    value = css.slice(valueStart, i).trim();
+  }
+
+  if (css[i] !== ')') {
+    return null;
+  }
+  return { url: unescapeCss(value), quote, end: i + 1 };
+}
+
+function readIdentBefore(css, end) {
+  let start = end;
+  while (start > 0 && IDENT_CHAR.test(css[start - 1])) start--;
+  return css.slice(start, end).toLowerCase();
+}
+
+export function findCssUrls(css) {
+  const references = [];
+  const functions = [];
+  let inImport = false;
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 2;
+    } else if (char === '"' || char === "'") {
+      const string = readString(css, i);
+      const current = functions[functions.length - 1];
+      if (!inImport && IMAGE_SET_FUNCTIONS.includes(current)) {
+        references.push({
+          start: i,
+          end: string.end,
+          url: unescapeCss(string.raw),
+          quote: string.quote,
+          type: 'string',
+        });
+      }
+      i = string.end;
+    } else if (char === '(') {
+      const name = readIdentBefore(css, i);
+      const token = name === 'url' ? readUrlToken(css, i + 1) : null;
+
+      if (token) {
+        if (!inImport) {
+          references.push({
+            start: i - name.length,
+            end: token.end,
+            url: token.url,
+            quote: token.quote,
+            type: 'url',
+          });
+        }
+        i = token.end;
+      } else {
+        functions.push(name);
+        i++;
+      }
+    } else if (char === ')') {
+      functions.pop();
+      i++;
+    } else if (char === '@' && css.slice(i + 1, i + 7).toLowerCase() === 'import') {
+      inImport = true;
+      i += 7;
+    } else if (char === ';' || char === '{' || char === '}') {
+      inImport = false;
+      functions.length = 0;
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  return references;
+}
+
+function escapeCssString(value, quote) {
+  return value.replace(new RegExp(`[\\\\\n${quote}]`, 'g'), (char) =>
+    char === '\n' ? '\\a ' : `\\${char}`
+  );
+}
+
+export function formatCssUrl(reference, value) {
+  let { quote } = reference;
+
+  // Percent-encoded data URIs may contain spaces, quotes and parentheses
+  if (quote ? value.includes(quote) : /[\s'"()\\]/.test(value)) {
+    quote = '"';
+  }
+
+  const escaped = quote ? escapeCssString(value, quote) : value;
+  return reference.type === 'url'
+    ? `url(${quote}${escaped}${quote})`
+    : `${quote}${escaped}${quote}`;
+}
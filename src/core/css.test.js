@@ -0,0 +1,112 @@
+/**
+ * Tests for CSS url() scanning
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findCssUrls, formatCssUrl } from './css.js';
+
+function urls(css) {
+  return findCssUrls(css).map(({ url }) => url);
+}
+
+describe('findCssUrls', () => {
+  it('should find unquoted, single and double quoted urls', () => {
+    const css = `a { background: url(a.png) } b { background: url('b.png') }
+      c { background: url( "c.png" ) }`;
+
+    expect(urls(css)).toEqual(['a.png', 'b.png', 'c.png']);
+  });
+
+  it('should report ranges covering the whole url() token', () => {
+    const css = 'a{background:url( "x.png" )}';
+    const [reference] = findCssUrls(css);
+
+    expect(css.slice(reference.start, reference.end)).toBe('url( "x.png" )');
+    expect(reference.quote).toBe('"');
+    expect(reference.type).toBe('url');
+  });
+
+  it('should be case insensitive', () => {
+    expect(urls('a { background: URL(a.png) }')).toEqual(['a.png']);
+  });
+
+  it('should find every url in @font-face src lists', () => {
+    const css = `@font-face {
+      font-family: Icons;
+      src: url(icons.woff2) format("woff2"), url('icons.woff') format("woff");
+    }`;
+
+    expect(urls(css)).toEqual(['icons.woff2', 'icons.woff']);
+  });
+
+  it('should find urls and bare strings in image-set()', () => {
+    const css = `a {
+      background-image: image-set("a.avif" type("image/avif") 1x, url(a@2x.png) 2x);
+      background-image: -webkit-image-set('b.png' 1x);
+    }`;
+    const found = findCssUrls(css);
+
+    expect(found.map(({ url }) => url)).toEqual(['a.avif', 'a@2x.png', 'b.png']);
+    expect(found[0].type).toBe('string');
+    expect(found[1].type).toBe('url');
+  });
+
+  it('should ignore strings outside image-set()', () => {
+    expect(urls('a::before { content: "url(x.png)"; font-family: "a.png" }')).toEqual([]);
+  });
+
+  it('should ignore comments', () => {
+    expect(urls('/* url(old.png) */ a { background: url(new.png) }')).toEqual([
+      'new.png',
+    ]);
+  });
+
+  it('should ignore @import rules', () => {
+    const css =
+      '@import url(base.css); @import "theme.css"; a { background: url(a.png) }';
+    expect(urls(css)).toEqual(['a.png']);
+  });
+
+  it('should not match functions ending in url', () => {
+    expect(urls('a { background: myurl(a.png) }')).toEqual([]);
+  });
+
+  it('should unescape CSS escapes', () => {
+    expect(urls('a { background: url(my\\ icon.png) }')).toEqual(['my icon.png']);
+    expect(urls('a { background: url("\\31 .png") }')).toEqual(['1.png']);
+  });
+
+  it('should keep parentheses inside quoted urls', () => {
+    expect(urls('a { background: url("icon (1).png") }')).toEqual(['icon (1).png']);
+  });
+
+  it('should return data URIs and fragments as found', () => {
+    expect(
+      urls('a { background: url(data:image/png;base64,AA==) } b { mask: url(#m) }')
+    ).toEqual(['data:image/png;base64,AA==', '#m']);
+  });
+});
+
+describe('formatCssUrl', () => {
+  it('should keep the original quote style', () => {
+    expect(formatCssUrl({ type: 'url', quote: "'" }, 'data:x')).toBe("url('data:x')");
+    expect(formatCssUrl({ type: 'url', quote: '' }, 'data:x')).toBe('url(data:x)');
+    expect(formatCssUrl({ type: 'string', quote: '"' }, 'data:x')).toBe('"data:x"');
+  });
+
+  it('should quote values that are unsafe unquoted', () => {
+    expect(formatCssUrl({ type: 'url', quote: '' }, 'data:,<svg a=1/>')).toBe(
+      'url("data:,<svg a=1/>")'
+    );
+  });
+
+  it('should switch quotes when the value contains the original quote', () => {
+    expect(formatCssUrl({ type: 'url', quote: "'" }, "data:,<a b='1'/>")).toBe(
+      `url("data:,<a b='1'/>")`
+    );
+  });
+
+  it('should escape backslashes and quotes inside strings', () => {
+    expect(formatCssUrl({ type: 'string', quote: '"' }, 'a"b\\c')).toBe('"a\\"b\\\\c"');
+  });
+});
@@ -0,0 +1,103 @@
+import { ImguriError } from '../errors.js';
+
+const DATA_URI_PREFIX = /^data:/i;
+const MEDIA_TYPE_PATTERN = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/i;
+const TOKEN_PATTERN = /^[a-z0-9!#$%&'*+.^_`|~-]+$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const PERCENT_PATTERN = /%([0-9A-Fa-f]{2})?/g;
+
+const DEFAULT_MIME_TYPE = 'text/plain';
+const DEFAULT_CHARSET = 'US-ASCII';
+
+function invalid(reason) {
+  return new ImguriError(`Invalid data URI: ${reason}`, { code: 'ERR_INVALID_DATA_URI' });
+}
+
+function percentDecode(text) {
+  const bytes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(PERCENT_PATTERN)) {
+    if (!match[1]) {
+      throw invalid(`malformed percent-encoding at position ${match.index}`);
+    }
+    bytes.push(Buffer.from(text.slice(last, match.index), 'utf8'));
+    bytes.push(Buffer.from([parseInt(match[1], 16)]));
+    last = match.index + match[0].length;
+  }
+  bytes.push(Buffer.from(text.slice(last), 'utf8'));
+
+  return Buffer.concat(bytes);
+}
+
+function parseParameter(segment) {
+  const separator = segment.indexOf('=');
+  if (separator <= 0) {
+    throw invalid(`malformed parameter "${segment}"`);
+  }
+
+  const name = segment.slice(0, separator).trim().toLowerCase();
+  let value = percentDecode(segment.slice(separator + 1).trim()).toString('utf8');
+
+  if (!TOKEN_PATTERN.test(name)) {
+    throw invalid(`malformed parameter name "${name}"`);
+  }
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+
+  return [name, value];
+}
+
+function decodeBase64(payload) {
+  const base64 = percentDecode(payload)
+    .toString('latin1')
+    .replace(/[\t\n\f\r ]/g, '');
+
+  if (!BASE64_PATTERN.test(base64) || base64.length % 4 === 1) {
+    throw invalid('malformed base64 payload');
+  }
+
+  return Buffer.from(base64, 'base64');
+}
+
+export function decode(dataUri) {
+  if (typeof dataUri !== 'string') {
+    throw new TypeError('Expected dataUri to be a string');
+  }
+
+  const uri = dataUri.trim();
+  if (!DATA_URI_PREFIX.test(uri)) {
+    throw invalid('missing "data:" scheme');
+  }
+
+  const comma = uri.indexOf(',');
+  if (comma === -1) {
+    throw invalid('missing "," before payload');
+  }
+
+  const segments = uri.slice('data:'.length, comma).split(';');
+  const payload = uri.slice(comma + 1);
+
+  const isBase64 =
+    segments.length > 1 &&
+    segments[segments.length - 1].trim().toLowerCase() === 'base64';
+  if (isBase64) {
+    segments.pop();
+  }
+
+  const mediaType = segments.shift().trim().toLowerCase();
+  if (mediaType && !MEDIA_TYPE_PATTERN.test(mediaType)) {
+    throw invalid(`malformed media type "${mediaType}"`);
+  }
+
+  const parameters = Object.fromEntries(segments.map(parseParameter));
+  const mimeType = mediaType || DEFAULT_MIME_TYPE;
+  if (!mediaType && !parameters.charset) {
+    parameters.charset = DEFAULT_CHARSET;
+  }
+
+  const buffer = isBase64 ? decodeBase64(payload) : percentDecode(payload);
+
+  return { mimeType, buffer, parameters, isBase64 };
+}
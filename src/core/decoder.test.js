@@ -0,0 +1,119 @@
+/**
+ * Tests for core decoder functions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { decode } from './decoder.js';
+import { toDataUri } from './encoder.js';
+
+describe('decode', () => {
+  it('should decode base64 data URI', () => {
+    const result = decode('data:text/plain;base64,dGVzdA==');
+
+    expect(result.mimeType).toBe('text/plain');
+    expect(result.buffer.toString()).toBe('test');
+    expect(result.isBase64).toBe(true);
+    expect(result.parameters).toEqual({});
+  });
+
+  it('should round-trip toDataUri output', () => {
+    const buffer = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const result = decode(toDataUri(buffer, 'image/png'));
+
+    expect(result.mimeType).toBe('image/png');
+    expect(result.buffer.equals(buffer)).toBe(true);
+  });
+
+  it('should decode percent-encoded payload', () => {
+    const result = decode(
+      'data:image/svg+xml;charset=utf-8,%3Csvg%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%2F%3E'
+    );
+
+    expect(result.mimeType).toBe('image/svg+xml');
+    expect(result.isBase64).toBe(false);
+    expect(result.parameters).toEqual({ charset: 'utf-8' });
+    expect(result.buffer.toString()).toBe('<svg xmlns="http://www.w3.org/2000/svg"/>');
+  });
+
+  it('should keep unescaped characters as UTF-8', () => {
+    const result = decode('data:text/plain;charset=utf-8,caf%C3%A9 ☕');
+    expect(result.buffer.toString('utf8')).toBe('café ☕');
+  });
+
+  it('should decode raw bytes from percent escapes', () => {
+    const result = decode('data:application/octet-stream,%00%FF%7f');
+    expect([...result.buffer]).toEqual([0x00, 0xff, 0x7f]);
+  });
+
+  it('should default to text/plain with US-ASCII charset', () => {
+    const result = decode('data:,Hello%2C%20World');
+
+    expect(result.mimeType).toBe('text/plain');
+    expect(result.parameters).toEqual({ charset: 'US-ASCII' });
+    expect(result.buffer.toString()).toBe('Hello, World');
+  });
+
+  it('should default media type when only base64 is given', () => {
+    const result = decode('data:;base64,SGk=');
+
+    expect(result.mimeType).toBe('text/plain');
+    expect(result.buffer.toString()).toBe('Hi');
+  });
+
+  it('should parse multiple and quoted parameters', () => {
+    const result = decode('data:text/plain;Charset="utf-8";name=a%20b.txt;base64,SGk=');
+
+    expect(result.parameters).toEqual({ charset: 'utf-8', name: 'a b.txt' });
+  });
+
+  it('should be case insensitive for scheme, type and base64 marker', () => {
+    const result = decode('DATA:Image/PNG;BASE64,iVBORw==');
+
+    expect(result.mimeType).toBe('image/png');
+    expect(result.isBase64).toBe(true);
+  });
+
+  it('should ignore whitespace and percent-encoding in base64 payload', () => {
+    const result = decode('data:text/plain;base64,dGVz\n dA%3D%3D');
+    expect(result.buffer.toString()).toBe('test');
+  });
+
+  it('should throw TypeError for non-string input', () => {
+    expect(() => decode(Buffer.from('data:,x'))).toThrow(TypeError);
+    expect(() => decode(null)).toThrow('Expected dataUri to be a string');
+  });
+
+  it('should reject missing data scheme', () => {
+    expect(() => decode('image/png;base64,iVBORw==')).toThrow(
+      'Invalid data URI: missing "data:" scheme'
+    );
+  });
+
+  it('should reject missing comma', () => {
+    expect(() => decode('data:image/png;base64')).toThrow('missing ","');
+  });
+
+  it('should reject malformed media type', () => {
+    expect(() => decode('data:image png,abc')).toThrow('malformed media type');
+    expect(() => decode('data:base64,abc')).toThrow('malformed media type');
+  });
+
+  it('should reject malformed parameters', () => {
+    expect(() => decode('data:text/plain;charset,abc')).toThrow('malformed parameter');
+    expect(() => decode('data:text/plain;;base64,SGk=')).toThrow('malformed parameter');
+  });
+
+  it('should reject malformed base64', () => {
+    expect(() => decode('data:image/png;base64,iVB*Rw==')).toThrow(
+      'malformed base64 payload'
+    );
+    expect(() => decode('data:image/png;base64,iVBOR')).toThrow(
+      'malformed base64 payload'
+    );
+  });
+
+  it('should reject malformed percent-encoding', () => {
+    expect(() => decode('data:text/plain,100%')).toThrow('malformed percent-encoding');
+    expect(() => decode('data:text/plain,%zz')).toThrow('malformed percent-encoding');
+  });
+});
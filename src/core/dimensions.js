@@ -0,0 +1,206 @@
+const SVG_SCAN_LENGTH = 65536;
+
+// JPEG start-of-frame markers; C4 (DHT), C8 (JPG) and CC (DAC) share the range
+const JPEG_SOF_MARKERS = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+const JPEG_STANDALONE_MARKERS = [
+  0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8,
+];
+
+// EXIF orientations 5-8 rotate the image by 90 degrees, swapping width and height
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+const SVG_UNITS = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+function size(width, height) {
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return size(buffer.readUInt32BE(16), buffer.readUInt32BE(20));
+}
+
+function gifSize(buffer) {
+  if (buffer.length < 10) return null;
+  return size(buffer.readUInt16LE(6), buffer.readUInt16LE(8));
+}
+
+function bmpSize(buffer) {
+  if (buffer.length < 26) return null;
+
+  // Core (OS/2) headers store 16-bit dimensions; negative heights mean top-down rows
+  if (buffer.readUInt32LE(14) === 12) {
+    return size(buffer.readUInt16LE(18), buffer.readUInt16LE(20));
+  }
+  return size(Math.abs(buffer.readInt32LE(18)), Math.abs(buffer.readInt32LE(22)));
+}
+
+function icoSize(buffer) {
+  if (buffer.length < 6) return null;
+
+  // Report the largest image in the directory; a stored 0 means 256 pixels
+  let largest = null;
+  const count = buffer.readUInt16LE(4);
+  for (let i = 0; i < count && 6 + i * 16 + 2 <= buffer.length; i++) {
+    const offset = 6 + i * 16;
+    const width = buffer[offset] || 256;
+    const height = buffer[offset + 1] || 256;
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+  }
+  return largest;
+}
+
+function webpSize(buffer) {
+  if (buffer.length < 30) return null;
+
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    return size(buffer.readUInt16LE(26) & 0x3fff, buffer.readUInt16LE(28) & 0x3fff);
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return size((bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1);
+  }
+  if (chunk === 'VP8X') {
+    return size(buffer.readUIntLE(24, 3) + 1, buffer.readUIntLE(27, 3) + 1);
+  }
+  return null;
+}
+
+function exifOrientation(buffer, start, end) {
+  if (buffer.toString('latin1', start, start + 6) !== 'Exif\0\0') return null;
+
+  const tiff = start + 6;
+  if (tiff + 8 > end) return null;
+
+  const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+  const read16 = (offset) =>
+    little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = (offset) =>
+    little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const ifd = tiff + read32(tiff + 4);
+  if (ifd + 2 > end) return null;
+
+  const entries = read16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) return null;
+    if (read16(entry) === 0x0112) return read16(entry + 8);
+  }
+  return null;
+}
+
+function jpegSize(buffer) {
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (JPEG_STANDALONE_MARKERS.includes(marker)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1) {
+      orientation ??= exifOrientation(buffer, offset + 4, offset + 2 + length);
+    }
+
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      if (offset + 9 > buffer.length) return null;
+      const height = buffer.readUInt16BE(offset + 5);
+      const width = buffer.readUInt16BE(offset + 7);
+      return ROTATED_ORIENTATIONS.includes(orientation)
+        ? size(height, width)
+        : size(width, height);
+    }
+
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function svgLength(value) {
+  const match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z]*)\s*$/i.exec(
+    value ?? ''
+  );
+  if (!match) return null;
+
+  const unit = match[2].toLowerCase() || 'px';
+  return unit in SVG_UNITS ? Number(match[1]) * SVG_UNITS[unit] : null;
+}
+
+function svgSize(buffer) {
+  const text = buffer
+    .toString('utf8', 0, SVG_SCAN_LENGTH)
+    .replace(/<!--[\s\S]*?-->/g, '');
+  const tag = /<svg\b([^>]*)>/i.exec(text);
+  if (!tag) return null;
+
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted] of tag[1].matchAll(
+    /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+  )) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted;
+  }
+
+  let width = svgLength(attributes.width);
+  let height = svgLength(attributes.height);
+  const viewBox = (attributes.viewbox ?? '')
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  const [, , boxWidth, boxHeight] = viewBox;
+  const hasViewBox = viewBox.length === 4 && boxWidth > 0 && boxHeight > 0;
+
+  // A missing dimension follows the viewBox aspect ratio
+  if (hasViewBox) {
+    if (width === null && height === null) {
+      width = boxWidth;
+      height = boxHeight;
+    } else if (height === null) {
+      height = (width * boxHeight) / boxWidth;
+    } else if (width === null) {
+      width = (height * boxWidth) / boxHeight;
+    }
+  }
+
+  return width === null || height === null
+    ? null
+    : size(Math.round(width), Math.round(height));
+}
+
+const PARSERS = {
+  'image/png': pngSize,
+  'image/jpeg': jpegSize,
+  'image/gif': gifSize,
+  'image/webp': webpSize,
+  'image/bmp': bmpSize,
+  'image/vnd.microsoft.icon': icoSize,
+  'image/svg+xml': svgSize,
+};
+
+export function readDimensions(buffer, mimeType) {
+  const parse = PARSERS[mimeType];
+  if (!parse) {
+    return null;
+  }
+
+  try {
+    return parse(buffer);
+  } catch {
+    // Truncated or malformed headers leave the dimensions unknown
+    return null;
+  }
+}
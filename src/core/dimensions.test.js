@@ -0,0 +1,182 @@
+/**
+ * Tests for intrinsic image dimension parsing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readDimensions } from './dimensions.js';
+
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function segment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+function sof(width, height) {
+  const data = Buffer.alloc(6);
+  data[0] = 8;
+  data.writeUInt16BE(height, 1);
+  data.writeUInt16BE(width, 3);
+  return data;
+}
+
+function exif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+}
+
+function jpeg(...segments) {
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), ...segments]);
+}
+
+function svg(attributes) {
+  return Buffer.from(
+    `<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" ${attributes}></svg>`
+  );
+}
+
+describe('readDimensions', () => {
+  it('should read PNG dimensions from IHDR', () => {
+    expect(readDimensions(png(640, 480), 'image/png')).toEqual({
+      width: 640,
+      height: 480,
+    });
+  });
+
+  it('should read JPEG dimensions from the SOF segment', () => {
+    const buffer = jpeg(
+      segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+      segment(0xdb, Buffer.alloc(65)),
+      segment(0xc2, sof(1024, 768))
+    );
+
+    expect(readDimensions(buffer, 'image/jpeg')).toEqual({ width: 1024, height: 768 });
+  });
+
+  it('should not mistake DHT segments for frames', () => {
+    const buffer = jpeg(segment(0xc4, Buffer.alloc(20, 1)), segment(0xc0, sof(10, 20)));
+    expect(readDimensions(buffer, 'image/jpeg')).toEqual({ width: 10, height: 20 });
+  });
+
+  it('should swap JPEG dimensions for rotated EXIF orientations', () => {
+    expect(
+      readDimensions(
+        jpeg(segment(0xe1, exif(6)), segment(0xc0, sof(400, 300))),
+        'image/jpeg'
+      )
+    ).toEqual({ width: 300, height: 400 });
+    expect(
+      readDimensions(
+        jpeg(segment(0xe1, exif(1)), segment(0xc0, sof(400, 300))),
+        'image/jpeg'
+      )
+    ).toEqual({ width: 400, height: 300 });
+  });
+
+  it('should read GIF logical screen dimensions', () => {
+    const buffer = Buffer.from('GIF89a\x20\x03\x58\x02\x00\x00\x00', 'latin1');
+    expect(readDimensions(buffer, 'image/gif')).toEqual({ width: 800, height: 600 });
+  });
+
+  it('should read lossy, lossless and extended WebP dimensions', () => {
+    const riff = (chunk, body) =>
+      Buffer.concat([Buffer.from(`RIFF\0\0\0\0WEBP${chunk}\0\0\0\0`, 'latin1'), body]);
+
+    const lossy = Buffer.alloc(14);
+    Buffer.from([0x9d, 0x01, 0x2a]).copy(lossy, 3);
+    lossy.writeUInt16LE(300, 6);
+    lossy.writeUInt16LE(200, 8);
+
+    const lossless = Buffer.alloc(10);
+    lossless[0] = 0x2f;
+    lossless.writeUInt32LE((300 - 1) | ((200 - 1) << 14), 1);
+
+    const extended = Buffer.alloc(10);
+    extended.writeUIntLE(300 - 1, 4, 3);
+    extended.writeUIntLE(200 - 1, 7, 3);
+
+    for (const buffer of [
+      riff('VP8 ', lossy),
+      riff('VP8L', lossless),
+      riff('VP8X', extended),
+    ]) {
+      expect(readDimensions(buffer, 'image/webp')).toEqual({ width: 300, height: 200 });
+    }
+  });
+
+  it('should read BMP dimensions, including top-down bitmaps', () => {
+    const buffer = Buffer.alloc(54);
+    buffer.write('BM', 0, 'latin1');
+    buffer.writeUInt32LE(40, 14);
+    buffer.writeInt32LE(120, 18);
+    buffer.writeInt32LE(-90, 22);
+
+    expect(readDimensions(buffer, 'image/bmp')).toEqual({ width: 120, height: 90 });
+  });
+
+  it('should report the largest ICO entry', () => {
+    const buffer = Buffer.alloc(6 + 32);
+    buffer.writeUInt16LE(1, 2);
+    buffer.writeUInt16LE(2, 4);
+    buffer[6] = 16;
+    buffer[7] = 16;
+    buffer[22] = 0;
+    buffer[23] = 0;
+
+    expect(readDimensions(buffer, 'image/vnd.microsoft.icon')).toEqual({
+      width: 256,
+      height: 256,
+    });
+  });
+
+  it('should read SVG width and height attributes', () => {
+    expect(readDimensions(svg('width="120" height="80px"'), 'image/svg+xml')).toEqual({
+      width: 120,
+      height: 80,
+    });
+    expect(readDimensions(svg('width="1in" height="72pt"'), 'image/svg+xml')).toEqual({
+      width: 96,
+      height: 96,
+    });
+  });
+
+  it('should fall back to the SVG viewBox', () => {
+    expect(readDimensions(svg('viewBox="0 0 24 12"'), 'image/svg+xml')).toEqual({
+      width: 24,
+      height: 12,
+    });
+    expect(
+      readDimensions(svg("width='48' viewBox='0,0,24,12'"), 'image/svg+xml')
+    ).toEqual({ width: 48, height: 24 });
+    expect(
+      readDimensions(svg('width="100%" height="50%" viewBox="0 0 10 5"'), 'image/svg+xml')
+    ).toEqual({ width: 10, height: 5 });
+  });
+
+  it('should return null for SVGs without usable dimensions', () => {
+    expect(readDimensions(svg('width="100%"'), 'image/svg+xml')).toBeNull();
+  });
+
+  it('should return null for unsupported types and truncated data', () => {
+    expect(readDimensions(Buffer.alloc(100), 'image/tiff')).toBeNull();
+    expect(readDimensions(png(1, 1).subarray(0, 20), 'image/png')).toBeNull();
+    expect(readDimensions(jpeg(segment(0xe0, Buffer.alloc(4))), 'image/jpeg')).toBeNull();
+  });
+});
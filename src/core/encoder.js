@@ -1,12 +1,90 @@
-export function toDataUri(buffer, mimeType) {
-  if (!Buffer.isBuffer(buffer)) {
-    throw new TypeError('Expected buffer to be a Buffer instance');
+const ENCODINGS = ['base64', 'percent', 'auto'];
+
+const TEXT_MIME_PATTERN =
+  /^(text\/[\w.+-]+|image\/svg\+xml|application\/(json|xml|javascript|ecmascript)|[\w.-]+\/[\w.-]+\+(xml|json))$/i;
+
+// Printable ASCII is kept as-is; double quotes, backslashes, `#` and `%` are escaped so
+// the result is safe inside a double-quoted CSS url().
+const UNSAFE_CHAR = /["#%\\]/;
+
+const PERCENT_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  const char = String.fromCharCode(byte);
+  return byte >= 0x20 && byte < 0x7f && !UNSAFE_CHAR.test(char)
+    ? char
+    : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+});
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+function isTextMimeType(mimeType) {
+  return TEXT_MIME_PATTERN.test(mimeType.split(';')[0].trim());
+}
+
+function isUtf8(buffer) {
+  try {
+    utf8Decoder.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Views share memory with the caller instead of copying it
+function toBuffer(bytes) {
+  if (Buffer.isBuffer(bytes)) return bytes;
+  if (bytes instanceof ArrayBuffer) return Buffer.from(bytes);
+  if (ArrayBuffer.isView(bytes)) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+  return null;
+}
+
+function percentEncode(buffer) {
+  return Array.from(buffer, (byte) => PERCENT_TABLE[byte]).join('');
+}
+
+function percentDataUri(buffer, mimeType) {
+  const needsCharset =
+    isTextMimeType(mimeType) && !/;\s*charset=/i.test(mimeType) && isUtf8(buffer);
+  const mediaType = needsCharset ? `${mimeType};charset=utf-8` : mimeType;
+  return `data:${mediaType},${percentEncode(buffer)}`;
+}
+
+function base64DataUri(buffer, mimeType) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+export function encodeDataUri(bytes, mimeType, options = {}) {
+  const { encoding = 'base64' } = options;
+  const buffer = toBuffer(bytes);
+
+  if (!buffer) {
+    throw new TypeError('Expected buffer to be a Buffer, Uint8Array or ArrayBuffer');
   }
 
   if (!mimeType || typeof mimeType !== 'string') {
     throw new TypeError('Expected mimeType to be a non-empty string');
   }
 
-  const base64 = buffer.toString('base64');
-  return `data:${mimeType};base64,${base64}`;
+  if (!ENCODINGS.includes(encoding)) {
+    throw new TypeError(`Expected encoding to be one of: ${ENCODINGS.join(', ')}`);
+  }
+
+  if (encoding === 'percent') {
+    return { dataUri: percentDataUri(buffer, mimeType), encoding };
+  }
+
+  const base64 = base64DataUri(buffer, mimeType);
+  if (encoding === 'auto' && isTextMimeType(mimeType)) {
+    const percent = percentDataUri(buffer, mimeType);
+    if (percent.length <= base64.length) {
+      return { dataUri: percent, encoding: 'percent' };
+    }
+  }
+
+  return { dataUri: base64, encoding: 'base64' };
+}
+
+export function toDataUri(buffer, mimeType, options = {}) {
+  return encodeDataUri(buffer, mimeType, options).dataUri;
 }
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { toDataUri } from './encoder.js';
+import { toDataUri, encodeDataUri } from './encoder.js';
+import { decode } from './decoder.js';
 
 describe('toDataUri', () => {
   it('should convert buffer to data URI', () => {
@@ -26,7 +27,16 @@ describe('toDataUri', () => {
   it('should throw TypeError for non-buffer input', () => {
     expect(() => toDataUri('not a buffer', 'text/plain')).toThrow(TypeError);
     expect(() => toDataUri('not a buffer', 'text/plain')).toThrow(
-      'Expected buffer to be a Buffer instance'
+      'Expected buffer to be a Buffer, Uint8Array or ArrayBuffer'
+    );
+  });
+
+  it('should accept Uint8Array and ArrayBuffer input', () => {
+    const bytes = new Uint8Array([0, 0x89, 0x50, 0x4e, 0x47, 0]).subarray(1, 5);
+
+    expect(toDataUri(bytes, 'image/png')).toBe('data:image/png;base64,iVBORw==');
+    expect(toDataUri(bytes.slice().buffer, 'image/png')).toBe(
+      'data:image/png;base64,iVBORw=='
     );
   });
 
@@ -37,3 +47,90 @@ describe('toDataUri', () => {
     expect(() => toDataUri(buffer, undefined)).toThrow(TypeError);
   });
 });
+
+describe('encodeDataUri', () => {
+  const svg = Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><path d="M0 0h10v10z"/></svg>'
+  );
+
+  it('should default to base64', () => {
+    const result = encodeDataUri(svg, 'image/svg+xml');
+
+    expect(result.encoding).toBe('base64');
+    expect(result.dataUri).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+
+  it('should percent-encode with charset when requested', () => {
+    const result = encodeDataUri(Buffer.from('<svg a="1 2"/>'), 'image/svg+xml', {
+      encoding: 'percent',
+    });
+
+    expect(result).toEqual({
+      dataUri: 'data:image/svg+xml;charset=utf-8,<svg a=%221 2%22/>',
+      encoding: 'percent',
+    });
+  });
+
+  it('should escape only characters unsafe in a quoted CSS url()', () => {
+    const { dataUri } = encodeDataUri(Buffer.from(`'"()#%\\ \t\n<>{}`), 'text/plain', {
+      encoding: 'percent',
+    });
+
+    expect(dataUri.slice(dataUri.indexOf(',') + 1)).toBe(`'%22()%23%25%5C %09%0A<>{}`);
+  });
+
+  it('should percent-encode non-ASCII as UTF-8 bytes', () => {
+    const { dataUri } = encodeDataUri(Buffer.from('<text>café</text>'), 'image/svg+xml', {
+      encoding: 'percent',
+    });
+
+    expect(dataUri).toBe('data:image/svg+xml;charset=utf-8,<text>caf%C3%A9</text>');
+  });
+
+  it('should not add charset when already present or for binary types', () => {
+    expect(
+      encodeDataUri(Buffer.from('a'), 'text/plain;charset=us-ascii', {
+        encoding: 'percent',
+      }).dataUri
+    ).toBe('data:text/plain;charset=us-ascii,a');
+    expect(
+      encodeDataUri(Buffer.from([0x89, 0x50]), 'image/png', { encoding: 'percent' })
+        .dataUri
+    ).toBe('data:image/png,%89P');
+  });
+
+  it('should round-trip through decode', () => {
+    const { dataUri } = encodeDataUri(svg, 'image/svg+xml', { encoding: 'percent' });
+    const decoded = decode(dataUri);
+
+    expect(decoded.buffer.equals(svg)).toBe(true);
+    expect(decoded.parameters.charset).toBe('utf-8');
+  });
+
+  it('should pick percent-encoding in auto mode when shorter', () => {
+    const result = encodeDataUri(svg, 'image/svg+xml', { encoding: 'auto' });
+
+    expect(result.encoding).toBe('percent');
+    expect(result.dataUri.length).toBeLessThan(
+      encodeDataUri(svg, 'image/svg+xml').dataUri.length
+    );
+  });
+
+  it('should pick base64 in auto mode when shorter', () => {
+    const accented = Buffer.from(`<svg>${'é'.repeat(200)}</svg>`);
+    expect(encodeDataUri(accented, 'image/svg+xml', { encoding: 'auto' }).encoding).toBe(
+      'base64'
+    );
+  });
+
+  it('should always use base64 in auto mode for binary types', () => {
+    const result = encodeDataUri(Buffer.from('abc'), 'image/png', { encoding: 'auto' });
+    expect(result.encoding).toBe('base64');
+  });
+
+  it('should throw TypeError for unknown encoding', () => {
+    expect(() => encodeDataUri(svg, 'image/svg+xml', { encoding: 'hex' })).toThrow(
+      'Expected encoding to be one of: base64, percent, auto'
+    );
+  });
+});
@@ -0,0 +1,124 @@
+const MAGIC_PATTERN = /(?:^|[^\\])[*?[{]/;
+
+export function hasMagic(pattern) {
+  return MAGIC_PATTERN.test(pattern);
+}
+
+// Leading segments without wildcards name the directory the walk starts from
+export function splitGlob(pattern) {
+  const segments = pattern.split('/');
+  const index = segments.findIndex((segment) => hasMagic(segment));
+  if (index === -1) {
+    return { base: pattern, glob: '' };
+  }
+
+  const base = segments.slice(0, index).join('/');
+  return {
+    base: index === 0 ? '.' : base === '' ? '/' : base,
+    glob: segments.slice(index).join('/'),
+  };
+}
+
+function escapeRegExp(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+function classToRegExp(pattern, start) {
+  let i = start + 1;
+  let source = '[';
+
+  if (pattern[i] === '!' || pattern[i] === '^') {
+    source += '^/';
+    i++;
+  }
+  if (pattern[i] === ']') {
+    source += '\\]';
+    i++;
+  }
+
+  while (i < pattern.length && pattern[i] !== ']') {
+    if (pattern[i] === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[i + 1]);
+      i += 2;
+    } else {
+      source += pattern[i] === '-' ? '-' : escapeRegExp(pattern[i]);
+      i++;
+    }
+  }
+
+  // An unclosed bracket is a literal character
+  if (i >= pattern.length) {
+    return { source: '\\[', end: start + 1 };
+  }
+  return { source: `${source}]`, end: i + 1 };
+}
+
+function segmentToRegExp(segment, dot) {
+  let source = '';
+  let depth = 0;
+  let i = 0;
+
+  while (i < segment.length) {
+    const char = segment[i];
+
+    if (char === '\\' && i + 1 < segment.length) {
+      source += escapeRegExp(segment[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const range = classToRegExp(segment, i);
+      source += range.source;
+      i = range.end;
+      continue;
+    } else if (char === '{') {
+      source += '(?:';
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      source += ')';
+      depth--;
+    } else if (char === ',' && depth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+    i++;
+  }
+
+  source += ')'.repeat(depth);
+
+  // Wildcards do not match a leading dot unless the pattern spells it out
+  return dot || segment.startsWith('.') ? source : `(?!\\.)${source}`;
+}
+
+export function globToRegExp(pattern, options = {}) {
+  const { dot = false } = options;
+  const segments = pattern.split('/').filter((segment, i, all) => {
+    return segment !== '' || i === all.length - 1;
+  });
+
+  let source = '';
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === '**') {
+      const any = dot ? '[^/]*' : '(?!\\.)[^/]*';
+      source += last ? `(?:${any}(?:/${any})*)?` : `(?:${any}/)*`;
+    } else {
+      source += segmentToRegExp(segment, dot) + (last ? '' : '/');
+    }
+  });
+
+  return new RegExp(`^${source}$`);
+}
+
+export function createMatcher(patterns, options = {}) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map((pattern) =>
+    globToRegExp(pattern, options)
+  );
+  return (path) => list.some((regex) => regex.test(path));
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for glob pattern matching
+ */
+
+import { describe, it, expect } from 'vitest';
+import { hasMagic, splitGlob, globToRegExp, createMatcher } from './glob.js';
+
+function matches(pattern, path, options) {
+  return globToRegExp(pattern, options).test(path);
+}
+
+describe('hasMagic', () => {
+  it('should detect wildcards, classes and braces', () => {
+    expect(hasMagic('icons/*.png')).toBe(true);
+    expect(hasMagic('icon?.png')).toBe(true);
+    expect(hasMagic('icon[12].png')).toBe(true);
+    expect(hasMagic('*.{png,svg}')).toBe(true);
+    expect(hasMagic('icons/logo.png')).toBe(false);
+  });
+
+  it('should ignore escaped characters', () => {
+    expect(hasMagic('icons/\\*.png')).toBe(false);
+  });
+});
+
+describe('splitGlob', () => {
+  it('should split the literal base from the pattern', () => {
+    expect(splitGlob('assets/icons/**/*.{png,svg}')).toEqual({
+      base: 'assets/icons',
+      glob: '**/*.{png,svg}',
+    });
+    expect(splitGlob('*.png')).toEqual({ base: '.', glob: '*.png' });
+    expect(splitGlob('/srv/*/logo.png')).toEqual({ base: '/srv', glob: '*/logo.png' });
+    expect(splitGlob('/*.png')).toEqual({ base: '/', glob: '*.png' });
+  });
+});
+
+describe('globToRegExp', () => {
+  it('should keep * and ? within a segment', () => {
+    expect(matches('*.png', 'logo.png')).toBe(true);
+    expect(matches('*.png', 'icons/logo.png')).toBe(false);
+    expect(matches('logo?.png', 'logo2.png')).toBe(true);
+    expect(matches('logo?.png', 'logo.png')).toBe(false);
+  });
+
+  it('should match any depth with **', () => {
+    expect(matches('**/*.png', 'logo.png')).toBe(true);
+    expect(matches('**/*.png', 'a/b/c/logo.png')).toBe(true);
+    expect(matches('a/**/logo.png', 'a/logo.png')).toBe(true);
+    expect(matches('a/**/logo.png', 'a/b/c/logo.png')).toBe(true);
+    expect(matches('a/**', 'a/b/c.png')).toBe(true);
+  });
+
+  it('should expand braces', () => {
+    expect(matches('*.{png,svg}', 'a.svg')).toBe(true);
+    expect(matches('*.{png,svg}', 'a.gif')).toBe(false);
+    expect(matches('{icons,logos}/*.png', 'logos/a.png')).toBe(true);
+    expect(matches('*.{png,{jpg,jpeg}}', 'a.jpeg')).toBe(true);
+  });
+
+  it('should match character classes', () => {
+    expect(matches('icon[0-9].png', 'icon5.png')).toBe(true);
+    expect(matches('icon[!0-9].png', 'icon5.png')).toBe(false);
+    expect(matches('icon[!0-9].png', 'iconx.png')).toBe(true);
+    expect(matches('icon[.png', 'icon[.png')).toBe(true);
+  });
+
+  it('should not match dotfiles unless asked to', () => {
+    expect(matches('*.png', '.hidden.png')).toBe(false);
+    expect(matches('**/*.png', '.cache/a.png')).toBe(false);
+    expect(matches('.*.png', '.hidden.png')).toBe(true);
+    expect(matches('*.png', '.hidden.png', { dot: true })).toBe(true);
+    expect(matches('**/*.png', '.cache/a.png', { dot: true })).toBe(true);
+  });
+
+  it('should treat escaped and regex characters literally', () => {
+    expect(matches('a\\*.png', 'a*.png')).toBe(true);
+    expect(matches('a\\*.png', 'ab.png')).toBe(false);
+    expect(matches('a+b(1).png', 'a+b(1).png')).toBe(true);
+    expect(matches('*.png', 'logoXpng')).toBe(false);
+  });
+});
+
+describe('createMatcher', () => {
+  it('should match any of several patterns', () => {
+    const match = createMatcher(['**/*.png', 'raw/*']);
+
+    expect(match('a/b.png')).toBe(true);
+    expect(match('raw/b.gif')).toBe(true);
+    expect(match('a/b.gif')).toBe(false);
+  });
+});
@@ -0,0 +1,234 @@
+import { findCssUrls, formatCssUrl } from './css.js';
+
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+const SKIP_ATTRIBUTE = 'data-imguri-skip';
+const ICON_REL = /(^|\s)[\w-]*icon[\w-]*(\s|$)/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const ENTITY_PATTERN = /&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/gi;
+
+function decodeEntity(match, dec, hex, name) {
+  if (dec || hex) {
+    const code = parseInt(dec || hex, dec ? 10 : 16);
+    // Like browsers, null, surrogate and out-of-range references become U+FFFD
+    const invalid = code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff);
+    return invalid ? '\uFFFD' : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+}
+
+function decodeEntities(text) {
+  return text.replace(ENTITY_PATTERN, decodeEntity);
+}
+
+// offsets[i] is where decoded character i starts in text, so ranges found in the
+// decoded value can be mapped back
+function decodeWithOffsets(text) {
+  let decoded = '';
+  const offsets = [];
+  let last = 0;
+
+  const copy = (end) => {
+    for (let i = last; i < end; i++) offsets.push(i);
+    decoded += text.slice(last, end);
+  };
+
+  for (const match of text.matchAll(ENTITY_PATTERN)) {
+    copy(match.index);
+    const value = decodeEntity(...match);
+    for (let i = 0; i < value.length; i++) offsets.push(match.index);
+    decoded += value;
+    last = match.index + match[0].length;
+  }
+  copy(text.length);
+  offsets.push(text.length);
+
+  return { decoded, offsets };
+}
+
+function skipWhitespace(text, i) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+function readAttributes(html, start) {
+  const attributes = new Map();
+  let i = start;
+
+  while (i < html.length) {
+    i = skipWhitespace(html, i);
+    if (html[i] === '>') return { attributes, end: i + 1 };
+    if (html[i] === '/') {
+      i++;
+      continue;
+    }
+
+    const nameStart = i;
+    while (i < html.length && !/[\s/>=]/.test(html[i])) i++;
+    const name = html.slice(nameStart, i).toLowerCase();
+
+    i = skipWhitespace(html, i);
+    let attribute = { name, value: '', quote: '', start: i, end: i, hasValue: false };
+
+    if (html[i] === '=') {
+      i = skipWhitespace(html, i + 1);
+      const quote = html[i] === '"' || html[i] === "'" ? html[i] : '';
+      const valueStart = quote ? i + 1 : i;
+      let valueEnd;
+
+      if (quote) {
+        const close = html.indexOf(quote, valueStart);
+        valueEnd = close === -1 ? html.length : close;
+        i = Math.min(valueEnd + 1, html.length);
+      } else {
+        while (i < html.length && !/[\s>]/.test(html[i])) i++;
+        valueEnd = i;
+      }
+
+      attribute = {
+        name,
+        value: html.slice(valueStart, valueEnd),
+        quote,
+        start: valueStart - (quote ? 1 : 0),
+        end: i,
+        hasValue: true,
+      };
+    }
+
+    if (name && !attributes.has(name)) {
+      attributes.set(name, attribute);
+    }
+  }
+
+  return { attributes, end: html.length };
+}
+
+function parseSrcset(value) {
+  const candidates = [];
+  let i = 0;
+
+  while (i < value.length) {
+    while (i < value.length && /[\s,]/.test(value[i])) i++;
+    if (i >= value.length) break;
+
+    const start = i;
+    while (i < value.length && !/\s/.test(value[i])) i++;
+    let end = i;
+
+    if (value[end - 1] === ',') {
+      while (value[end - 1] === ',') end--;
+    } else {
+      let depth = 0;
+      while (i < value.length && (value[i] !== ',' || depth > 0)) {
+        if (value[i] === '(') depth++;
+        if (value[i] === ')') depth--;
+        i++;
+      }
+    }
+
+    candidates.push({ start, end, url: value.slice(start, end) });
+  }
+
+  return candidates;
+}
+
+function attributeReferences(attribute, type) {
+  const { value } = attribute;
+
+  if (type === 'srcset') {
+    return parseSrcset(value).map(({ start, end, url }) => ({
+      start,
+      end,
+      url: decodeEntities(url),
+      // Candidates are whitespace-separated, so percent-encoded spaces must stay encoded
+      format: (data) => data.replace(/\s/g, (char) => encodeURIComponent(char)),
+    }));
+  }
+
+  // Entities are decoded before the CSS is parsed, as a browser does
+  if (type === 'style') {
+    const { decoded, offsets } = decodeWithOffsets(value);
+    return findCssUrls(decoded).map((reference) => ({
+      start: offsets[reference.start],
+      end: offsets[reference.end],
+      url: reference.url,
+      format: (data) => formatCssUrl(reference, data),
+    }));
+  }
+
+  const leading = value.length - value.trimStart().length;
+  const trimmed = value.trim();
+  return [
+    { start: leading, end: leading + trimmed.length, url: decodeEntities(trimmed) },
+  ];
+}
+
+function elementTargets(tag, attributes) {
+  const targets = [];
+  const has = (name) => attributes.get(name)?.hasValue;
+  const valueOf = (name) => attributes.get(name)?.value ?? '';
+
+  if (tag === 'img' && has('src')) targets.push(['src', 'url']);
+  if ((tag === 'img' || tag === 'source') && has('srcset'))
+    targets.push(['srcset', 'srcset']);
+  if (tag === 'link' && has('href') && ICON_REL.test(valueOf('rel'))) {
+    targets.push(['href', 'url']);
+  }
+  if (tag === 'input' && has('src') && valueOf('type').trim().toLowerCase() === 'image') {
+    targets.push(['src', 'url']);
+  }
+  if (has('poster')) targets.push(['poster', 'url']);
+  if (has('style')) targets.push(['style', 'style']);
+
+  return targets;
+}
+
+export function findHtmlReferences(html) {
+  const references = [];
+  let i = 0;
+
+  while (i < html.length) {
+    const open = html.indexOf('<', i);
+    if (open === -1) break;
+
+    if (html.startsWith('<!--', open)) {
+      const close = html.indexOf('-->', open + 4);
+      i = close === -1 ? html.length : close + 3;
+      continue;
+    }
+
+    const nameMatch = /^<([a-zA-Z][^\s/>]*)/.exec(html.slice(open, open + 256));
+    if (!nameMatch) {
+      // End tags, doctype and processing instructions carry no references
+      const close = /[!?/]/.test(html[open + 1]) ? html.indexOf('>', open + 1) : open;
+      i = close === -1 ? html.length : close + 1;
+      continue;
+    }
+
+    const tag = nameMatch[1].toLowerCase();
+    const { attributes, end } = readAttributes(html, open + nameMatch[0].length);
+    const skip = attributes.has(SKIP_ATTRIBUTE) ? 'opt-out' : undefined;
+
+    for (const [name, type] of elementTargets(tag, attributes)) {
+      const attribute = attributes.get(name);
+      for (const reference of attributeReferences(attribute, type)) {
+        references.push({ ...reference, element: tag, attribute, skip });
+      }
+    }
+
+    i = end;
+    if (RAW_TEXT_ELEMENTS.includes(tag)) {
+      const close = html.toLowerCase().indexOf(`</${tag}`, end);
+      i = close === -1 ? html.length : close;
+    }
+  }
+
+  return references;
+}
+
+export function escapeAttributeValue(text, quote) {
+  return text
+    .replaceAll('&', '&amp;')
+    .replaceAll(quote || '"', quote === "'" ? '&#39;' : '&quot;');
+}
@@ -0,0 +1,151 @@
+/**
+ * Tests for HTML reference scanning
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findHtmlReferences, escapeAttributeValue } from './html.js';
+
+function summary(html) {
+  return findHtmlReferences(html).map(({ element, attribute, url, skip }) => ({
+    element,
+    attribute: attribute.name,
+    url,
+    ...(skip ? { skip } : {}),
+  }));
+}
+
+describe('findHtmlReferences', () => {
+  it('should find img src', () => {
+    expect(summary('<p><img alt="x" src="a.png"></p>')).toEqual([
+      { element: 'img', attribute: 'src', url: 'a.png' },
+    ]);
+  });
+
+  it('should report ranges relative to the attribute value', () => {
+    const [reference] = findHtmlReferences('<img src=" a.png ">');
+    const { attribute } = reference;
+
+    expect(attribute.value.slice(reference.start, reference.end)).toBe('a.png');
+    expect(attribute.quote).toBe('"');
+  });
+
+  it('should find srcset candidates on img and source', () => {
+    const html = `<picture>
+      <source srcset="a.avif 1x, a@2x.avif 2x" type="image/avif">
+      <img srcset="b.png, b@2x.png 2x,c.png 3x">
+    </picture>`;
+
+    expect(summary(html).map(({ url }) => url)).toEqual([
+      'a.avif',
+      'a@2x.avif',
+      'b.png',
+      'b@2x.png',
+      'c.png',
+    ]);
+  });
+
+  it('should keep commas inside srcset data URIs', () => {
+    const [first, second] = findHtmlReferences(
+      '<img srcset="data:image/png;base64,AA== 1x, b.png 2x">'
+    );
+
+    expect(first.url).toBe('data:image/png;base64,AA==');
+    expect(second.url).toBe('b.png');
+  });
+
+  it('should find icon links only', () => {
+    const html = `<link rel="stylesheet" href="a.css">
+      <link rel="icon" href="favicon.ico">
+      <link rel="shortcut icon" href="favicon.png">
+      <link href="touch.png" rel="apple-touch-icon">`;
+
+    expect(summary(html).map(({ url }) => url)).toEqual([
+      'favicon.ico',
+      'favicon.png',
+      'touch.png',
+    ]);
+  });
+
+  it('should find input type=image only', () => {
+    const html = '<input type="text" src="a.png"><input type=IMAGE src="b.png">';
+    expect(summary(html).map(({ url }) => url)).toEqual(['b.png']);
+  });
+
+  it('should find poster attributes', () => {
+    expect(summary('<video poster="poster.jpg" src="movie.mp4"></video>')).toEqual([
+      { element: 'video', attribute: 'poster', url: 'poster.jpg' },
+    ]);
+  });
+
+  it('should find url() in style attributes', () => {
+    expect(
+      summary(`<div style="background: url('bg.png') no-repeat; mask: url(m.svg)">`)
+    ).toEqual([
+      { element: 'div', attribute: 'style', url: 'bg.png' },
+      { element: 'div', attribute: 'style', url: 'm.svg' },
+    ]);
+  });
+
+  it('should handle unquoted and single quoted attributes', () => {
+    expect(summary("<img src=a.png><img src='b.png'/>").map(({ url }) => url)).toEqual([
+      'a.png',
+      'b.png',
+    ]);
+  });
+
+  it('should decode entities in urls', () => {
+    expect(summary('<img src="a.png?x=1&amp;y=2">')[0].url).toBe('a.png?x=1&y=2');
+  });
+
+  it('should decode entities before parsing style attributes', () => {
+    const html =
+      '<i style="background:url(&quot;a.png?x=1&amp;y=2&quot;), url(&#39;b.png&#39;)">';
+    const references = findHtmlReferences(html);
+
+    expect(references.map(({ url }) => url)).toEqual(['a.png?x=1&y=2', 'b.png']);
+    expect(
+      references.map(({ attribute, start, end }) => attribute.value.slice(start, end))
+    ).toEqual(['url(&quot;a.png?x=1&amp;y=2&quot;)', 'url(&#39;b.png&#39;)']);
+  });
+
+  it('should decode invalid character references as U+FFFD', () => {
+    expect(
+      summary('<img src="a&#x110000;&#0;&#xD800;&#99999999999;b&#x1F600;.png">')[0].url
+    ).toBe('a\uFFFD\uFFFD\uFFFD\uFFFDb\u{1F600}.png');
+  });
+
+  it('should mark references of opted-out elements', () => {
+    expect(summary('<img data-imguri-skip src="a.png"><img src="b.png">')).toEqual([
+      { element: 'img', attribute: 'src', url: 'a.png', skip: 'opt-out' },
+      { element: 'img', attribute: 'src', url: 'b.png' },
+    ]);
+  });
+
+  it('should ignore comments, scripts and styles', () => {
+    const html = `<!-- <img src="old.png"> -->
+      <script>const s = '<img src="js.png">';</script>
+      <style>a { background: url(css.png) }</style>
+      <img src="real.png">`;
+
+    expect(summary(html).map(({ url }) => url)).toEqual(['real.png']);
+  });
+
+  it('should use the first of duplicate attributes', () => {
+    expect(summary('<img src="a.png" src="b.png">')[0].url).toBe('a.png');
+  });
+
+  it('should ignore attributes without values', () => {
+    expect(summary('<img src><video poster>')).toEqual([]);
+  });
+});
+
+describe('escapeAttributeValue', () => {
+  it('should escape ampersands and the enclosing quote', () => {
+    expect(escapeAttributeValue(`a&b"c'd`, '"')).toBe(`a&amp;b&quot;c'd`);
+    expect(escapeAttributeValue(`a"c'd`, "'")).toBe(`a"c&#39;d`);
+  });
+
+  it('should escape double quotes for unquoted attributes', () => {
+    expect(escapeAttributeValue('a"b', '')).toBe('a&quot;b');
+  });
+});
@@ -0,0 +1,85 @@
+import { BlockList, isIP } from 'net';
+
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT, includes the 100.100.100.200 metadata service
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, includes the 169.254.169.254 metadata service
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['fc00::', 7, 'ipv6'], // Unique local, includes the fd00:ec2::254 metadata service
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['fec0::', 10, 'ipv6'], // Deprecated site-local
+  ['ff00::', 8, 'ipv6'], // Multicast
+];
+
+const privateRanges = new BlockList();
+for (const [network, prefix, type] of PRIVATE_RANGES) {
+  privateRanges.addSubnet(network, prefix, type);
+}
+
+function ipv6Hextets(address) {
+  let text = address;
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    const tail = `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    text = address.slice(0, dotted.index) + tail;
+  }
+
+  const [head, rest] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((hex) => parseInt(hex, 16)) : []);
+  const left = parse(head);
+  const right = parse(rest);
+  return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+// IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d)
+// addresses reach IPv4 hosts, so they are judged by the embedded IPv4 address
+function embeddedIpv4(hextets) {
+  const [a, b, c, d, e, f, g, h] = hextets;
+  const mapped =
+    a === 0 && b === 0 && c === 0 && d === 0 && e === 0 && (f === 0 || f === 0xffff);
+  const nat64 = a === 0x64 && b === 0xff9b && c === 0 && d === 0 && e === 0 && f === 0;
+  return mapped || nat64 ? `${g >> 8}.${g & 255}.${h >> 8}.${h & 255}` : null;
+}
+
+export function isPrivateAddress(address) {
+  const plain = address.split('%')[0];
+  const family = isIP(plain);
+
+  if (family === 4) {
+    return privateRanges.check(plain, 'ipv4');
+  }
+
+  if (family === 6) {
+    const ipv4 = embeddedIpv4(ipv6Hextets(plain));
+    return ipv4 ? privateRanges.check(ipv4, 'ipv4') : privateRanges.check(plain, 'ipv6');
+  }
+
+  return false;
+}
+
+export function normalizeHostname(hostname) {
+  return hostname
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/\.$/, '')
+    .toLowerCase();
+}
+
+// `*` matches every host and `*.example.com` matches subdomains of example.com
+export function matchesHost(patterns, hostname) {
+  const host = normalizeHostname(hostname);
+
+  return patterns.some((pattern) => {
+    const normalized = normalizeHostname(pattern);
+    if (normalized === '*') return true;
+    if (normalized.startsWith('*.')) return host.endsWith(normalized.slice(1));
+    return host === normalized;
+  });
+}
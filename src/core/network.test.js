@@ -0,0 +1,70 @@
+/**
+ * Tests for address classification and host matching
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isPrivateAddress, matchesHost } from './network.js';
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.100.100.200',
+    '0.0.0.0',
+    '224.0.0.1',
+    '255.255.255.255',
+  ])('should flag IPv4 address %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['::1', '::', 'fd00:ec2::254', 'fe80::1', 'fe80::1%eth0', 'ff02::1'])(
+    'should flag IPv6 address %s',
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  );
+
+  it.each(['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1'])(
+    'should judge embedded IPv4 address %s',
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  );
+
+  it.each(['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1', '::ffff:8.8.8.8'])(
+    'should allow public address %s',
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+
+  it('should return false for non-addresses', () => {
+    expect(isPrivateAddress('localhost')).toBe(false);
+  });
+});
+
+describe('matchesHost', () => {
+  it('should match exact hosts case-insensitively', () => {
+    expect(matchesHost(['CDN.example.com'], 'cdn.example.com')).toBe(true);
+    expect(matchesHost(['cdn.example.com'], 'cdn.example.com.')).toBe(true);
+    expect(matchesHost(['cdn.example.com'], 'img.example.com')).toBe(false);
+  });
+
+  it('should match subdomains with a leading wildcard', () => {
+    expect(matchesHost(['*.example.com'], 'a.b.example.com')).toBe(true);
+    expect(matchesHost(['*.example.com'], 'example.com')).toBe(false);
+    expect(matchesHost(['*.example.com'], 'badexample.com')).toBe(false);
+  });
+
+  it('should match everything with a bare wildcard', () => {
+    expect(matchesHost(['*'], 'anything.test')).toBe(true);
+  });
+
+  it('should match bracketed IPv6 hosts', () => {
+    expect(matchesHost(['::1'], '[::1]')).toBe(true);
+  });
+});
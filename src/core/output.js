@@ -0,0 +1,188 @@
+import { posix } from 'path';
+import { ImguriError } from '../errors.js';
+import { decode } from './decoder.js';
+import { readDimensions } from './dimensions.js';
+import { formatCssUrl } from './css.js';
+
+const ERROR_POLICIES = ['fail', 'skip', 'placeholder'];
+const CSS_FORMATS = ['property', 'class'];
+const TEMPLATE_TOKEN = /\[(name|ext|dir|path)\]/g;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]+:/i;
+
+// 1x1 transparent GIF
+export const DEFAULT_PLACEHOLDER =
+  'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+const RESERVED_WORDS = new Set(
+  (
+    'await break case catch class const continue debugger default delete do else enum ' +
+    'export extends false finally for function if implements import in instanceof ' +
+    'interface let new null package private protected public return static super ' +
+    'switch this throw true try typeof var void while with yield'
+  ).split(' ')
+);
+
+function pathParts(path) {
+  let file = path;
+  if (/^data:/i.test(path)) {
+    file = '';
+  } else if (URL_PATTERN.test(path) && !/^[a-z]:[\\/]/i.test(path)) {
+    file = decodeURIComponent(new URL(path).pathname);
+  }
+
+  const normalized = posix.normalize(file.replace(/\\/g, '/') || '.');
+  const ext = posix.extname(normalized);
+  const name = posix.basename(normalized, ext);
+  return {
+    name: name === '.' ? '' : name,
+    ext: ext.slice(1),
+    dir: posix.basename(posix.dirname(normalized)).replace(/^\.+$/, ''),
+    path: normalized.slice(0, normalized.length - ext.length),
+  };
+}
+
+function applyTemplate(template, path) {
+  const parts = pathParts(path);
+  return typeof template === 'function'
+    ? String(template(path, parts))
+    : template.replace(TEMPLATE_TOKEN, (_, token) => parts[token]);
+}
+
+function cssIdentifier(name) {
+  const ident = name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  return /^\d/.test(ident) ? `_${ident}` : ident;
+}
+
+function jsIdentifier(name) {
+  const [first = '', ...rest] = name.split(/[^a-zA-Z0-9_$]+/).filter(Boolean);
+  const ident =
+    first.charAt(0).toLowerCase() +
+    first.slice(1) +
+    rest.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+  return /^\d/.test(ident) || RESERVED_WORDS.has(ident) ? `_${ident}` : ident;
+}
+
+function checkOptions(options) {
+  const {
+    onError = 'fail',
+    placeholder = DEFAULT_PLACEHOLDER,
+    name = '[name]',
+  } = options;
+
+  if (!ERROR_POLICIES.includes(onError)) {
+    throw new TypeError(`Expected onError to be one of: ${ERROR_POLICIES.join(', ')}`);
+  }
+  if (typeof placeholder !== 'string') {
+    throw new TypeError('Expected placeholder to be a data URI string');
+  }
+  if (typeof name !== 'string' && typeof name !== 'function') {
+    throw new TypeError('Expected name to be a template string or a function');
+  }
+  return { onError, placeholder, name };
+}
+
+// Applies the error policy, so generators only see entries with data
+function outputEntries(results, { onError, placeholder }) {
+  const entries = [];
+
+  for (const [path, result] of results) {
+    if (!result.error) {
+      entries.push({ path, data: result.data, result, error: null });
+    } else if (onError === 'fail') {
+      throw result.error;
+    } else if (onError === 'placeholder') {
+      entries.push({ path, data: placeholder, result, error: result.error });
+    }
+  }
+  return entries;
+}
+
+function namedEntries(results, options, toIdentifier) {
+  const checked = checkOptions(options);
+  const owners = new Map();
+
+  return outputEntries(results, checked).map((entry) => {
+    const identifier = toIdentifier(applyTemplate(checked.name, entry.path));
+    if (!identifier) {
+      throw new TypeError(`Expected name template to produce a name for "${entry.path}"`);
+    }
+    if (owners.has(identifier)) {
+      throw new ImguriError(
+        `Duplicate output name "${identifier}" for "${owners.get(identifier)}" and "${entry.path}"`,
+        { code: 'ERR_DUPLICATE_NAME', path: entry.path }
+      );
+    }
+    owners.set(identifier, entry.path);
+    return { ...entry, identifier };
+  });
+}
+
+export function generateCss(results, options = {}) {
+  const {
+    format = 'property',
+    selector = ':root',
+    property = 'background-image',
+  } = options;
+
+  if (!CSS_FORMATS.includes(format)) {
+    throw new TypeError(`Expected format to be one of: ${CSS_FORMATS.join(', ')}`);
+  }
+
+  const entries = namedEntries(results, options, cssIdentifier);
+  const value = (data) => formatCssUrl({ quote: '"', type: 'url' }, data);
+
+  if (format === 'class') {
+    return entries
+      .map(
+        ({ identifier, data }) => `.${identifier} {\n  ${property}: ${value(data)};\n}\n`
+      )
+      .join('\n');
+  }
+
+  if (entries.length === 0) {
+    return '';
+  }
+  const declarations = entries.map(
+    ({ identifier, data }) => `  --${identifier}: ${value(data)};\n`
+  );
+  return `${selector} {\n${declarations.join('')}}\n`;
+}
+
+// Returns the module source and a matching declaration file
+export function generateModule(results, options = {}) {
+  const entries = namedEntries(results, options, jsIdentifier);
+
+  return {
+    code: entries
+      .map(
+        ({ identifier, data }) =>
+          `export const ${identifier} = ${JSON.stringify(data)};\n`
+      )
+      .join(''),
+    types: entries
+      .map(({ identifier }) => `export declare const ${identifier}: string;\n`)
+      .join(''),
+  };
+}
+
+function describeDataUri(dataUri) {
+  const { mimeType, buffer } = decode(dataUri);
+  const { width = null, height = null } = readDimensions(buffer, mimeType) ?? {};
+  return { mimeType, size: buffer.length, width, height };
+}
+
+export function generateJson(results, options = {}) {
+  const { space = 2 } = options;
+  const entries = outputEntries(results, checkOptions(options));
+  const manifest = {};
+
+  for (const { path, data, result, error } of entries) {
+    manifest[path] = {
+      dataUri: data,
+      ...describeDataUri(data),
+      encoding: error ? null : (result.encoding ?? null),
+      ...(error ? { error: { message: error.message, code: error.code ?? null } } : {}),
+    };
+  }
+  return `${JSON.stringify(manifest, null, space)}\n`;
+}
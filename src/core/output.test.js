@@ -0,0 +1,226 @@
+/**
+ * Tests for CSS, module and JSON output generators
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateCss,
+  generateModule,
+  generateJson,
+  DEFAULT_PLACEHOLDER,
+} from './output.js';
+import { ImguriError } from '../errors.js';
+
+// 1x1 PNG
+const png =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVQI12P4z8AAAAMBAQAY3Y2wAAAAAElFTkSuQmCC';
+const svg = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg'/%3E";
+
+function ok(data, encoding = 'base64') {
+  return { data, error: null, encoding };
+}
+
+function failed(message, code = 'ERR_NOT_FOUND') {
+  return { data: null, error: new ImguriError(message, { code }), encoding: null };
+}
+
+const results = new Map([
+  ['icons/home.png', ok(png)],
+  ['icons/user-profile.svg', ok(svg, 'percent')],
+]);
+
+describe('generateCss', () => {
+  it('should emit one custom property per image', () => {
+    expect(generateCss(results)).toBe(
+      `:root {\n  --home: url("${png}");\n  --user-profile: url("${svg}");\n}\n`
+    );
+  });
+
+  it('should emit one class per image', () => {
+    expect(generateCss(results, { format: 'class', name: 'icon-[name]' })).toBe(
+      `.icon-home {\n  background-image: url("${png}");\n}\n\n` +
+        `.icon-user-profile {\n  background-image: url("${svg}");\n}\n`
+    );
+  });
+
+  it('should use the given selector and property', () => {
+    const css = generateCss(new Map([['a.png', ok(png)]]), {
+      selector: '.theme',
+      format: 'property',
+    });
+    expect(css.startsWith('.theme {\n  --a: ')).toBe(true);
+
+    const classes = generateCss(new Map([['a.png', ok(png)]]), {
+      format: 'class',
+      property: 'mask-image',
+    });
+    expect(classes).toContain('  mask-image: url(');
+  });
+
+  it('should fill in template tokens and sanitize names', () => {
+    const input = new Map([
+      ['assets/icons/arrow left.png', ok(png)],
+      ['https://cdn.example.com/img/2x/logo.svg?v=3', ok(svg)],
+    ]);
+
+    expect(generateCss(input, { name: '[dir]-[name]-[ext]' })).toContain(
+      '--icons-arrow-left-png:'
+    );
+    expect(generateCss(input, { name: '[path]' })).toContain('--img-2x-logo:');
+    expect(generateCss(input, { format: 'class', name: '[dir]' })).toContain('._2x {');
+  });
+
+  it('should accept a name function', () => {
+    const css = generateCss(results, {
+      name: (path, { name, ext }) => `${ext}-${name}`.toUpperCase(),
+    });
+    expect(css).toContain('--PNG-HOME:');
+  });
+
+  it('should quote percent-encoded data URIs safely', () => {
+    const quoted = 'data:image/svg+xml,%3Csvg a="b"/%3E';
+    expect(generateCss(new Map([['q.svg', ok(quoted)]]))).toContain(
+      'url("data:image/svg+xml,%3Csvg a=\\"b\\"/%3E")'
+    );
+  });
+
+  it('should return an empty string without entries', () => {
+    expect(generateCss(new Map())).toBe('');
+  });
+
+  it('should reject duplicate names', () => {
+    const input = new Map([
+      ['a/logo.png', ok(png)],
+      ['b/logo.png', ok(png)],
+    ]);
+
+    try {
+      generateCss(input);
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ImguriError);
+      expect(error.code).toBe('ERR_DUPLICATE_NAME');
+      expect(error.path).toBe('b/logo.png');
+      expect(error.message).toContain('"a/logo.png" and "b/logo.png"');
+    }
+  });
+
+  it('should reject names that come out empty', () => {
+    expect(() => generateCss(new Map([[png, ok(png)]]))).toThrow(TypeError);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => generateCss(results, { format: 'inline' })).toThrow(
+      'Expected format to be one of: property, class'
+    );
+    expect(() => generateCss(results, { name: 42 })).toThrow(TypeError);
+  });
+});
+
+describe('generateModule', () => {
+  it('should emit named exports with matching declarations', () => {
+    const { code, types } = generateModule(results);
+
+    expect(code).toBe(
+      `export const home = ${JSON.stringify(png)};\n` +
+        `export const userProfile = ${JSON.stringify(svg)};\n`
+    );
+    expect(types).toBe(
+      'export declare const home: string;\nexport declare const userProfile: string;\n'
+    );
+  });
+
+  it('should produce valid identifiers', () => {
+    const input = new Map([
+      ['2x.png', ok(png)],
+      ['default.png', ok(png)],
+      ['Icon-Set.png', ok(png)],
+    ]);
+
+    expect(generateModule(input).types).toBe(
+      'export declare const _2x: string;\n' +
+        'export declare const _default: string;\n' +
+        'export declare const iconSet: string;\n'
+    );
+  });
+
+  it('should reject names that map to the same identifier', () => {
+    const input = new Map([
+      ['user-profile.png', ok(png)],
+      ['user_profile.png', ok(png)],
+      ['userProfile.png', ok(png)],
+    ]);
+    expect(() => generateModule(input)).toThrow('Duplicate output name "userProfile"');
+  });
+});
+
+describe('generateJson', () => {
+  it('should describe each image', () => {
+    const manifest = JSON.parse(generateJson(results));
+
+    expect(manifest['icons/home.png']).toEqual({
+      dataUri: png,
+      mimeType: 'image/png',
+      size: 69,
+      width: 1,
+      height: 1,
+      encoding: 'base64',
+    });
+    expect(manifest['icons/user-profile.svg']).toMatchObject({
+      mimeType: 'image/svg+xml',
+      encoding: 'percent',
+      width: null,
+      height: null,
+    });
+  });
+
+  it('should honour the space option', () => {
+    expect(generateJson(results, { space: 0 })).toMatch(/^\{"icons\/home.png":\{/);
+  });
+});
+
+describe('error policy', () => {
+  const mixed = new Map([
+    ['home.png', ok(png)],
+    ['missing.png', failed('File not found: missing.png')],
+  ]);
+
+  it('should throw the first error by default', () => {
+    expect(() => generateCss(mixed)).toThrow('File not found: missing.png');
+    expect(() => generateModule(mixed)).toThrow(ImguriError);
+    expect(() => generateJson(mixed, { onError: 'fail' })).toThrow(ImguriError);
+  });
+
+  it('should skip failed entries', () => {
+    expect(generateModule(mixed, { onError: 'skip' }).types).toBe(
+      'export declare const home: string;\n'
+    );
+    expect(Object.keys(JSON.parse(generateJson(mixed, { onError: 'skip' })))).toEqual([
+      'home.png',
+    ]);
+  });
+
+  it('should substitute a placeholder for failed entries', () => {
+    expect(generateCss(mixed, { onError: 'placeholder' })).toContain(
+      `--missing: url("${DEFAULT_PLACEHOLDER}");`
+    );
+    expect(
+      generateModule(mixed, { onError: 'placeholder', placeholder: png }).code
+    ).toContain(`export const missing = ${JSON.stringify(png)};`);
+
+    expect(JSON.parse(generateJson(mixed, { onError: 'placeholder' }))).toMatchObject({
+      'missing.png': {
+        dataUri: DEFAULT_PLACEHOLDER,
+        mimeType: 'image/gif',
+        encoding: null,
+        error: { message: 'File not found: missing.png', code: 'ERR_NOT_FOUND' },
+      },
+    });
+  });
+
+  it('should reject an unknown policy', () => {
+    expect(() => generateJson(mixed, { onError: 'ignore' })).toThrow(
+      'Expected onError to be one of: fail, skip, placeholder'
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const SVG_SCAN_LENGTH = 1024;
+
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-icon': 'image/vnd.microsoft.icon',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-bmp': 'image/bmp',
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length < end ? '' : buffer.toString('latin1', start, end);
+}
+
+function isAvif(buffer) {
+  if (ascii(buffer, 4, 8) !== 'ftyp') {
+    return false;
+  }
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  if (AVIF_BRANDS.includes(ascii(buffer, 8, 12))) {
+    return true;
+  }
+
+  // Compatible brands follow the major brand and minor version
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    if (AVIF_BRANDS.includes(ascii(buffer, offset, offset + 4))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isBmp(buffer) {
+  return (
+    ascii(buffer, 0, 2) === 'BM' &&
+    buffer.length >= 18 &&
+    BMP_HEADER_SIZES.includes(buffer.readUInt32LE(14))
+  );
+}
+
+function isIco(buffer) {
+  return (
+    startsWith(buffer, [0x00, 0x00, 0x01, 0x00]) &&
+    buffer.length >= 6 &&
+    buffer.readUInt16LE(4) > 0
+  );
+}
+
+function leadingText(buffer) {
+  let text = buffer.toString('utf8', 0, SVG_SCAN_LENGTH).replace(/^\uFEFF/, '');
+
+  // Skip XML declaration, processing instructions, comments and doctype
+  const prolog = /^\s*(<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE\s+svg[^>]*>)/i;
+  let match;
+  while ((match = text.match(prolog))) {
+    text = text.slice(match[0].length);
+  }
+  return text.trimStart();
+}
+
+function sniffMarkup(buffer) {
+  const text = leadingText(buffer);
+
+  if (/^<svg[\s>]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+  if (/^<(!doctype\s+html|html|head|body)[\s>]/i.test(text)) {
+    return 'text/html';
+  }
+  return null;
+}
+
+export function sniffMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) {
+    return 'image/gif';
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 12 && isAvif(buffer)) {
+    return 'image/avif';
+  }
+  if (isBmp(buffer)) {
+    return 'image/bmp';
+  }
+  if (isIco(buffer)) {
+    return 'image/vnd.microsoft.icon';
+  }
+  if (
+    startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) ||
+    startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])
+  ) {
+    return 'image/tiff';
+  }
+
+  return sniffMarkup(buffer);
+}
+
+export function normalizeMimeType(mimeType) {
+  if (!mimeType) {
+    return null;
+  }
+
+  const essence = mimeType.split(';')[0].trim().toLowerCase();
+  return MIME_ALIASES[essence] || essence || null;
+}
@@ -0,0 +1,123 @@
+/**
+ * Tests for content-based MIME type detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sniffMimeType, normalizeMimeType } from './sniffer.js';
+
+function bytes(...parts) {
+  return Buffer.concat(
+    parts.map((part) =>
+      typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part)
+    )
+  );
+}
+
+describe('sniffMimeType', () => {
+  it('should detect PNG', () => {
+    const buffer = bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+    expect(sniffMimeType(buffer)).toBe('image/png');
+  });
+
+  it('should detect JPEG', () => {
+    expect(sniffMimeType(bytes([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]))).toBe('image/jpeg');
+  });
+
+  it('should detect GIF87a and GIF89a', () => {
+    expect(sniffMimeType(bytes('GIF87a', [1, 0, 1, 0]))).toBe('image/gif');
+    expect(sniffMimeType(bytes('GIF89a', [1, 0, 1, 0]))).toBe('image/gif');
+  });
+
+  it('should detect WebP', () => {
+    expect(sniffMimeType(bytes('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 '))).toBe('image/webp');
+  });
+
+  it('should not mistake other RIFF containers for WebP', () => {
+    expect(sniffMimeType(bytes('RIFF', [0x24, 0, 0, 0], 'WAVEfmt '))).toBeNull();
+  });
+
+  it('should detect AVIF by major brand', () => {
+    const buffer = bytes([0, 0, 0, 0x1c], 'ftypavif', [0, 0, 0, 0], 'avifmif1miaf');
+    expect(sniffMimeType(buffer)).toBe('image/avif');
+  });
+
+  it('should detect AVIF by compatible brand', () => {
+    const buffer = bytes([0, 0, 0, 0x18], 'ftypmif1', [0, 0, 0, 0], 'mif1avif');
+    expect(sniffMimeType(buffer)).toBe('image/avif');
+  });
+
+  it('should not mistake other ISO-BMFF files for AVIF', () => {
+    const buffer = bytes([0, 0, 0, 0x18], 'ftypisom', [0, 0, 2, 0], 'isomiso2');
+    expect(sniffMimeType(buffer)).toBeNull();
+  });
+
+  it('should detect BMP', () => {
+    const header = Buffer.alloc(18);
+    header.write('BM', 0, 'latin1');
+    header.writeUInt32LE(40, 14);
+    expect(sniffMimeType(header)).toBe('image/bmp');
+  });
+
+  it('should not detect text starting with BM as BMP', () => {
+    expect(sniffMimeType(Buffer.from('BMW owners club newsletter'))).toBeNull();
+  });
+
+  it('should detect ICO', () => {
+    expect(sniffMimeType(bytes([0, 0, 1, 0, 1, 0, 16, 16]))).toBe(
+      'image/vnd.microsoft.icon'
+    );
+  });
+
+  it('should detect little- and big-endian TIFF', () => {
+    expect(sniffMimeType(bytes('II', [0x2a, 0, 8, 0, 0, 0]))).toBe('image/tiff');
+    expect(sniffMimeType(bytes('MM', [0, 0x2a, 0, 0, 0, 8]))).toBe('image/tiff');
+  });
+
+  it('should detect SVG', () => {
+    expect(sniffMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe(
+      'image/svg+xml'
+    );
+  });
+
+  it('should detect SVG after XML prolog, comments and BOM', () => {
+    const svg = [
+      '\uFEFF<?xml version="1.0" encoding="UTF-8"?>',
+      '<!-- Generator: Illustrator -->',
+      '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "svg11.dtd">',
+      '<svg viewBox="0 0 10 10"></svg>',
+    ].join('\n');
+
+    expect(sniffMimeType(Buffer.from(svg))).toBe('image/svg+xml');
+  });
+
+  it('should detect HTML documents', () => {
+    expect(sniffMimeType(Buffer.from('<!DOCTYPE html><html></html>'))).toBe('text/html');
+    expect(sniffMimeType(Buffer.from('\n  <html lang="en">'))).toBe('text/html');
+  });
+
+  it('should return null for unrecognized content', () => {
+    expect(sniffMimeType(Buffer.from('plain text'))).toBeNull();
+    expect(sniffMimeType(Buffer.alloc(100))).toBeNull();
+  });
+
+  it('should return null for empty or non-buffer input', () => {
+    expect(sniffMimeType(Buffer.alloc(0))).toBeNull();
+    expect(sniffMimeType('not a buffer')).toBeNull();
+  });
+});
+
+describe('normalizeMimeType', () => {
+  it('should strip parameters and lowercase', () => {
+    expect(normalizeMimeType('Image/PNG; charset=binary')).toBe('image/png');
+  });
+
+  it('should resolve common aliases', () => {
+    expect(normalizeMimeType('image/jpg')).toBe('image/jpeg');
+    expect(normalizeMimeType('image/x-icon')).toBe('image/vnd.microsoft.icon');
+  });
+
+  it('should return null for empty input', () => {
+    expect(normalizeMimeType('')).toBeNull();
+    expect(normalizeMimeType(null)).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+export class ImguriError extends Error {
+  constructor(message, { code = 'ERR_IMGURI', path = null, cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ImguriError';
+    this.code = code;
+    this.path = path;
+    Object.assign(this, details);
+  }
+}
+
+export class SizeLimitError extends ImguriError {
+  constructor(message, { actual, limit, ...details }) {
+    super(message, { code: 'ERR_SIZE_LIMIT', ...details });
+    this.name = 'SizeLimitError';
+    this.actual = actual;
+    this.limit = limit;
+  }
+}
+
+export class NotFoundError extends ImguriError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_NOT_FOUND', ...details });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class PathSecurityError extends ImguriError {
+  constructor(message, { reason, ...details }) {
+    super(message, { code: 'ERR_PATH_SECURITY', ...details });
+    this.name = 'PathSecurityError';
+    this.reason = reason;
+  }
+}
+
+export class UnsupportedTypeError extends ImguriError {
+  constructor(message, { mimeType = null, ...details } = {}) {
+    super(message, { code: 'ERR_UNSUPPORTED_TYPE', ...details });
+    this.name = 'UnsupportedTypeError';
+    this.mimeType = mimeType;
+  }
+}
+
+export class HttpError extends ImguriError {
+  constructor(message, { status, url, ...details }) {
+    super(message, { code: 'ERR_HTTP', ...details });
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+export class TimeoutError extends ImguriError {
+  constructor(message, { timeout, url, ...details }) {
+    super(message, { code: 'ERR_TIMEOUT', ...details });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+    this.url = url;
+  }
+}
+
+export class NetworkPolicyError extends ImguriError {
+  constructor(message, { url, reason, ...details }) {
+    super(message, { code: 'ERR_NETWORK_POLICY', ...details });
+    this.name = 'NetworkPolicyError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// The input path is only known to the caller, so it is filled in on the way out
+export function withPath(error, path) {
+  if (error instanceof ImguriError && error.path === null) {
+    error.path = path;
+  }
+  return error;
+}
@@ -0,0 +1,96 @@
+/**
+ * Tests for error classes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ImguriError,
+  SizeLimitError,
+  NotFoundError,
+  PathSecurityError,
+  UnsupportedTypeError,
+  HttpError,
+  TimeoutError,
+  NetworkPolicyError,
+  withPath,
+} from './errors.js';
+
+describe('error classes', () => {
+  it('should carry a code, path, cause and details', () => {
+    const cause = new Error('socket hang up');
+    const error = new ImguriError('Request failed', {
+      code: 'ERR_NETWORK',
+      path: 'a.png',
+      cause,
+      url: 'https://example.com/a.png',
+    });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({
+      name: 'ImguriError',
+      message: 'Request failed',
+      code: 'ERR_NETWORK',
+      path: 'a.png',
+      url: 'https://example.com/a.png',
+    });
+    expect(error.cause).toBe(cause);
+    expect(new ImguriError('Failed')).toMatchObject({ code: 'ERR_IMGURI', path: null });
+    expect('cause' in new ImguriError('Failed')).toBe(false);
+  });
+
+  it('should give each subclass a stable name and code', () => {
+    const errors = [
+      [
+        new SizeLimitError('', { actual: 2, limit: 1 }),
+        'SizeLimitError',
+        'ERR_SIZE_LIMIT',
+      ],
+      [new NotFoundError(''), 'NotFoundError', 'ERR_NOT_FOUND'],
+      [
+        new PathSecurityError('', { reason: 'traversal' }),
+        'PathSecurityError',
+        'ERR_PATH_SECURITY',
+      ],
+      [new UnsupportedTypeError(''), 'UnsupportedTypeError', 'ERR_UNSUPPORTED_TYPE'],
+      [new HttpError('', { status: 404, url: 'u' }), 'HttpError', 'ERR_HTTP'],
+      [new TimeoutError('', { timeout: 10, url: 'u' }), 'TimeoutError', 'ERR_TIMEOUT'],
+      [
+        new NetworkPolicyError('', { url: 'u', reason: 'denied-host' }),
+        'NetworkPolicyError',
+        'ERR_NETWORK_POLICY',
+      ],
+    ];
+
+    for (const [error, name, code] of errors) {
+      expect(error).toBeInstanceOf(ImguriError);
+      expect(error).toMatchObject({ name, code, path: null });
+    }
+  });
+
+  it('should expose subclass details', () => {
+    expect(new SizeLimitError('', { actual: 2, limit: 1 })).toMatchObject({
+      actual: 2,
+      limit: 1,
+    });
+    expect(new HttpError('', { status: 503, url: 'u', retryAfter: 1000 })).toMatchObject({
+      status: 503,
+      url: 'u',
+      retryAfter: 1000,
+    });
+    expect(new UnsupportedTypeError('')).toMatchObject({ mimeType: null });
+  });
+});
+
+describe('withPath', () => {
+  it('should fill in the path of library errors only once', () => {
+    const error = withPath(new NotFoundError('Missing'), 'a.png');
+    expect(error.path).toBe('a.png');
+    expect(withPath(error, 'b.png').path).toBe('a.png');
+  });
+
+  it('should leave other errors untouched', () => {
+    const error = new Error('Other');
+    expect(withPath(error, 'a.png')).toBe(error);
+    expect(error).not.toHaveProperty('path');
+  });
+});
@@ -0,0 +1,183 @@
+import { readdir, stat, realpath } from 'fs/promises';
+import { join, resolve, sep } from 'path';
+import { hasMagic, splitGlob, createMatcher } from './core/glob.js';
+import { getMimeType } from './adapters/file-reader.js';
+import { createPathCheck } from './path-policy.js';
+import { schemeOf } from './resolvers.js';
+import { NotFoundError } from './errors.js';
+
+const EXPAND_DEFAULTS = {
+  recursive: true,
+  include: null,
+  exclude: [],
+  dot: false,
+  followSymlinks: false,
+  imagesOnly: true,
+};
+
+function checkPatterns(name, patterns) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  if (list.some((pattern) => typeof pattern !== 'string' || !pattern)) {
+    throw new TypeError(`Expected ${name} to be a glob pattern or an array of patterns`);
+  }
+  return list;
+}
+
+export function normalizeExpand(expand = {}) {
+  if (expand === false) {
+    return null;
+  }
+  if (typeof expand !== 'object' || expand === null) {
+    throw new TypeError('Expected expand to be false or an object');
+  }
+
+  const settings = { ...EXPAND_DEFAULTS, ...expand };
+  for (const name of ['recursive', 'dot', 'followSymlinks', 'imagesOnly']) {
+    if (typeof settings[name] !== 'boolean') {
+      throw new TypeError(`Expected expand.${name} to be a boolean`);
+    }
+  }
+
+  const { dot } = settings;
+  return {
+    ...settings,
+    include:
+      settings.include === null
+        ? null
+        : createMatcher(checkPatterns('expand.include', settings.include), { dot }),
+    exclude: createMatcher(checkPatterns('expand.exclude', settings.exclude), {
+      dot: true,
+    }),
+  };
+}
+
+function toPosix(path) {
+  return sep === '\\' ? path.replace(/\\/g, '/') : path;
+}
+
+async function* walk(dir, settings, state, prefix = '') {
+  state.signal?.throwIfAborted();
+  state.onDirectory?.(dir);
+  const entries = await readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    if (!settings.dot && entry.name.startsWith('.')) continue;
+
+    const path = join(dir, entry.name);
+    const relative = prefix + entry.name;
+    let isDirectory = entry.isDirectory();
+
+    if (entry.isSymbolicLink()) {
+      if (!settings.followSymlinks) continue;
+      try {
+        isDirectory = (await stat(path)).isDirectory();
+      } catch {
+        // Dangling links are skipped like any other unreadable entry
+        continue;
+      }
+    }
+
+    if (isDirectory) {
+      if (!state.descend(relative)) continue;
+
+      // Following links can lead back to a directory that is already being walked
+      const real = await realpath(path);
+      if (state.visited.has(real)) continue;
+      state.visited.add(real);
+
+      yield* walk(path, settings, state, `${relative}/`);
+    } else {
+      yield { path, relative };
+    }
+  }
+}
+
+function acceptsFile(settings, relative) {
+  if (settings.include && !settings.include(relative)) return false;
+  if (settings.exclude(relative)) return false;
+  return !settings.imagesOnly || (getMimeType(relative) ?? '').startsWith('image/');
+}
+
+// A directory or pattern gives its files in name order; anything else is passed through.
+// A path that exists is taken literally, so names such as logo[1].png are not patterns.
+async function* expandInput(input, settings, checkPath, signal, onDirectory) {
+  const target = await checkPath(input);
+  const stats = await stat(target).catch(() => null);
+  if (stats ? !stats.isDirectory() : !hasMagic(input)) {
+    yield input;
+    return;
+  }
+
+  const isPattern = !stats;
+  const { base, glob } = isPattern ? splitGlob(toPosix(input)) : { base: input };
+  const dir = isPattern ? await checkPath(base) : target;
+
+  const pattern = isPattern
+    ? createMatcher(glob, { dot: settings.dot })
+    : createMatcher(settings.recursive ? '**' : '*', { dot: true });
+  const depth = glob && !glob.includes('**') ? glob.split('/').length : null;
+  const state = {
+    signal,
+    onDirectory,
+    visited: new Set([await realpath(dir).catch(() => dir)]),
+    descend: (relative) =>
+      isPattern
+        ? depth === null || relative.split('/').length < depth
+        : settings.recursive,
+  };
+
+  let found = 0;
+  try {
+    for await (const { path, relative } of walk(dir, settings, state)) {
+      if (pattern(relative) && acceptsFile(settings, relative)) {
+        found++;
+        yield path;
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (found === 0) {
+    throw new NotFoundError(`No files match: ${input}`, { path: input });
+  }
+}
+
+// Expanded files are absolute while plain inputs keep their spelling, so duplicates are
+// found by the file they resolve to
+export function inputKey(path, options = {}) {
+  if (typeof path !== 'string' || schemeOf(path)) {
+    return path;
+  }
+  return resolve(options.baseDir ?? process.cwd(), path);
+}
+
+// Yields { path, pattern } per file, or { path, error } when an input cannot be expanded.
+// onDirectory is called with every directory that is read.
+export async function* expandInputs(paths, options = {}, onDirectory) {
+  const settings = normalizeExpand(options.expand);
+  const checkPath = settings && createPathCheck(options);
+
+  for await (const input of paths) {
+    if (!settings || typeof input !== 'string' || schemeOf(input)) {
+      yield { path: input, pattern: null };
+      continue;
+    }
+
+    try {
+      for await (const path of expandInput(
+        input,
+        settings,
+        checkPath,
+        options.signal,
+        onDirectory
+      )) {
+        yield { path, pattern: path === input ? null : input };
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw options.signal.reason;
+      yield { path: input, pattern: null, error };
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Tests for directory and glob input expansion
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, symlink, rm, realpath } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { expandInputs, inputKey, normalizeExpand } from './expand.js';
+import { NotFoundError, PathSecurityError } from './errors.js';
+
+let testDir;
+let iconsDir;
+let outsideDir;
+
+async function expand(paths, options = {}) {
+  const inputs = [];
+  for await (const input of expandInputs(paths, { baseDir: testDir, ...options })) {
+    inputs.push(input);
+  }
+  return inputs;
+}
+
+async function expandedPaths(paths, options) {
+  return (await expand(paths, options)).map(({ path }) => path);
+}
+
+beforeAll(async () => {
+  testDir = await realpath(await mkdtemp(join(tmpdir(), 'imguri-expand-')));
+  iconsDir = join(testDir, 'assets', 'icons');
+  outsideDir = join(testDir, 'outside');
+
+  await mkdir(join(iconsDir, 'social'), { recursive: true });
+  await mkdir(join(iconsDir, '.cache'), { recursive: true });
+  await mkdir(outsideDir);
+  await mkdir(join(testDir, 'empty'));
+  await mkdir(join(testDir, 'sets', '[2x]'), { recursive: true });
+
+  await writeFile(join(iconsDir, 'home.png'), 'png');
+  await writeFile(join(iconsDir, 'user.svg'), 'svg');
+  await writeFile(join(iconsDir, 'notes.txt'), 'txt');
+  await writeFile(join(iconsDir, '.hidden.png'), 'png');
+  await writeFile(join(iconsDir, '.cache', 'stale.png'), 'png');
+  await writeFile(join(iconsDir, 'social', 'github.svg'), 'svg');
+  await writeFile(join(iconsDir, 'social', 'draft-x.svg'), 'svg');
+  await writeFile(join(outsideDir, 'external.png'), 'png');
+  await writeFile(join(testDir, 'logo[1].png'), 'png');
+  await writeFile(join(testDir, 'icon{a}.png'), 'png');
+  await writeFile(join(testDir, 'sets', '[2x]', 'logo.png'), 'png');
+
+  await symlink(outsideDir, join(iconsDir, 'linked'));
+  await symlink(iconsDir, join(iconsDir, 'social', 'loop'));
+});
+
+afterAll(async () => {
+  if (testDir) {
+    await rm(testDir, { recursive: true, force: true });
+  }
+});
+
+describe('normalizeExpand', () => {
+  it('should return null when disabled', () => {
+    expect(normalizeExpand(false)).toBeNull();
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => normalizeExpand('yes')).toThrow(TypeError);
+    expect(() => normalizeExpand({ dot: 1 })).toThrow(
+      'Expected expand.dot to be a boolean'
+    );
+    expect(() => normalizeExpand({ exclude: [''] })).toThrow(
+      'Expected expand.exclude to be a glob pattern or an array of patterns'
+    );
+  });
+});
+
+describe('inputKey', () => {
+  it('should resolve local paths and keep URLs and other inputs as given', () => {
+    expect(inputKey('./icons/../icons/a.png', { baseDir: testDir })).toBe(
+      join(testDir, 'icons', 'a.png')
+    );
+    expect(inputKey('https://example.com/a.png')).toBe('https://example.com/a.png');
+    const buffer = Buffer.from('a');
+    expect(inputKey(buffer)).toBe(buffer);
+  });
+});
+
+describe('expandInputs', () => {
+  it('should pass files, URLs and missing paths through', async () => {
+    const paths = ['assets/icons/home.png', 'https://example.com/*.png', 'missing.png'];
+    expect(await expand(paths)).toEqual(paths.map((path) => ({ path, pattern: null })));
+  });
+
+  it('should walk directories recursively in name order', async () => {
+    expect(await expand(['assets/icons'])).toEqual(
+      ['home.png', 'social/draft-x.svg', 'social/github.svg', 'user.svg'].map((file) => ({
+        path: join(iconsDir, file),
+        pattern: 'assets/icons',
+      }))
+    );
+  });
+
+  it('should stay in the top directory without recursive', async () => {
+    expect(await expandedPaths([iconsDir], { expand: { recursive: false } })).toEqual([
+      join(iconsDir, 'home.png'),
+      join(iconsDir, 'user.svg'),
+    ]);
+  });
+
+  it('should expand glob patterns', async () => {
+    expect(await expandedPaths(['assets/icons/**/*.{png,svg}'])).toHaveLength(4);
+    expect(await expandedPaths(['assets/icons/*.svg'])).toEqual([
+      join(iconsDir, 'user.svg'),
+    ]);
+    expect(await expandedPaths(['assets/*/social/g*.svg'])).toEqual([
+      join(iconsDir, 'social', 'github.svg'),
+    ]);
+  });
+
+  it('should apply include and exclude filters relative to the base', async () => {
+    expect(
+      await expandedPaths(['assets/icons'], {
+        expand: { include: '**/*.svg', exclude: ['**/draft-*'] },
+      })
+    ).toEqual([join(iconsDir, 'social', 'github.svg'), join(iconsDir, 'user.svg')]);
+  });
+
+  it('should include dotfiles on request', async () => {
+    const paths = await expandedPaths(['assets/icons'], { expand: { dot: true } });
+    expect(paths).toContain(join(iconsDir, '.hidden.png'));
+    expect(paths).toContain(join(iconsDir, '.cache', 'stale.png'));
+  });
+
+  it('should include non-images without imagesOnly', async () => {
+    const paths = await expandedPaths(['assets/icons/*'], {
+      expand: { imagesOnly: false },
+    });
+    expect(paths).toContain(join(iconsDir, 'notes.txt'));
+  });
+
+  it('should follow symlinks on request without looping', async () => {
+    expect(await expandedPaths(['assets/icons'])).not.toContain(
+      join(iconsDir, 'linked', 'external.png')
+    );
+
+    const paths = await expandedPaths(['assets/icons'], {
+      expand: { followSymlinks: true },
+    });
+    expect(paths).toContain(join(iconsDir, 'linked', 'external.png'));
+    expect(paths.filter((path) => path.endsWith('home.png'))).toHaveLength(1);
+  });
+
+  it('should report patterns that match nothing', async () => {
+    const [result] = await expand(['assets/**/*.gif']);
+    expect(result.path).toBe('assets/**/*.gif');
+    expect(result.error).toBeInstanceOf(NotFoundError);
+    expect(result.error.path).toBe('assets/**/*.gif');
+
+    const [empty] = await expand(['empty']);
+    expect(empty.error).toBeInstanceOf(NotFoundError);
+  });
+
+  it('should check the walked directory against the path policy', async () => {
+    const [escaped] = await expand(['../**/*.png']);
+    expect(escaped.error).toBeInstanceOf(PathSecurityError);
+
+    const [outside] = await expand([outsideDir], { roots: [iconsDir] });
+    expect(outside.error).toMatchObject({ reason: 'outside-roots' });
+  });
+
+  it('should not expand when disabled', async () => {
+    expect(await expand(['assets/icons'], { expand: false })).toEqual([
+      { path: 'assets/icons', pattern: null },
+    ]);
+  });
+
+  it('should take existing paths with glob characters literally', async () => {
+    expect(await expand(['logo[1].png', 'icon{a}.png'])).toEqual([
+      { path: 'logo[1].png', pattern: null },
+      { path: 'icon{a}.png', pattern: null },
+    ]);
+    expect(await expand(['sets/[2x]'])).toEqual([
+      { path: join(testDir, 'sets', '[2x]', 'logo.png'), pattern: 'sets/[2x]' },
+    ]);
+  });
+
+  it('should accept async iterables', async () => {
+    async function* paths() {
+      yield 'assets/icons/*.png';
+    }
+    expect(await expandedPaths(paths())).toEqual([join(iconsDir, 'home.png')]);
+  });
+});
@@ -1,124 +1,969 @@
-import { resolve, normalize } from 'path';
-import { toDataUri } from './core/encoder.js';
+import { resolve, extname, join } from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { encodeDataUri } from './core/encoder.js';
+import { decode } from './core/decoder.js';
+import { findCssUrls, formatCssUrl } from './core/css.js';
+import { findHtmlReferences, escapeAttributeValue } from './core/html.js';
+import { sniffMimeType, normalizeMimeType } from './core/sniffer.js';
+import { readDimensions } from './core/dimensions.js';
+import { generateCss, generateModule, generateJson } from './core/output.js';
 import {
   fileExists,
-  getFileSize,
+  getFileStats,
   getMimeType,
+  getExtension,
   readFileBuffer,
+  createFileStream,
+  writeFileBuffer,
 } from './adapters/file-reader.js';
 import {
   fetchMetadata,
-  fetchBuffer,
+  fetchStream,
   isImageContentType,
 } from './adapters/http-client.js';
-import { DEFAULT_SIZE_LIMIT, DEFAULT_TIMEOUT, DEFAULT_CONCURRENCY } from './config.js';
+import { createCache } from './cache.js';
+import { withRetry } from './retry.js';
+import { runPool, mapPool } from './pool.js';
+import { createUrlCheck, policyDispatcher } from './network-policy.js';
+import {
+  ImguriError,
+  SizeLimitError,
+  NotFoundError,
+  PathSecurityError,
+  UnsupportedTypeError,
+  HttpError,
+  TimeoutError,
+  NetworkPolicyError,
+  withPath,
+} from './errors.js';
+import { createPathCheck } from './path-policy.js';
+import { expandInputs, inputKey } from './expand.js';
+import { createWatcher } from './watch.js';
+import { createHeaderResolver, requestVariant } from './request-headers.js';
+import { dispatcherFor } from './proxy.js';
+import { schemeOf, normalizeResolvers, contentChunks } from './resolvers.js';
+import {
+  DEFAULT_SIZE_LIMIT,
+  DEFAULT_TIMEOUT,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_PROBE,
+} from './config.js';
 
 const URL_PATTERN = /^https?:\/\//i;
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+const SNIFF_LENGTH = 4096;
+const PROTOCOL_RELATIVE_BASE = 'https://localhost/';
+const PROBES = ['head', 'get', 'auto'];
+// HEAD responses that say nothing about whether a GET would succeed
+const HEAD_REJECTED_STATUSES = [400, 403, 405, 501];
 
-function validatePath(filePath) {
-  const normalized = normalize(filePath);
+function sizeLimitError(size, sizeLimit) {
+  return new SizeLimitError(
+    `Size limit exceeded: ${size} > ${sizeLimit} bytes. Set options.force to override`,
+    { actual: size, limit: sizeLimit }
+  );
+}
 
-  if (normalized.includes('..')) {
-    throw new Error(`Invalid path: path traversal detected in "${filePath}"`);
+function unknownType(source) {
+  return new UnsupportedTypeError(`Unable to determine MIME type for: ${source}`);
+}
+
+function isUrl(path) {
+  return URL_PATTERN.test(path);
+}
+
+function checkSizeLimit(size, options = {}) {
+  const { force = false, sizeLimit = DEFAULT_SIZE_LIMIT } = options;
+  if (!force && size > sizeLimit) {
+    throw sizeLimitError(size, sizeLimit);
+  }
+}
+
+async function* limitChunks(chunks, options = {}) {
+  let received = 0;
+  for await (const chunk of chunks) {
+    options.signal?.throwIfAborted();
+    received += chunk.length;
+    checkSizeLimit(received, options);
+    yield chunk;
   }
+}
 
-  if (!normalized.startsWith('/') && !normalized.match(/^[A-Za-z]:\\/)) {
-    const resolved = resolve(normalized);
-    if (!resolved.startsWith(process.cwd())) {
-      throw new Error(
-        `Invalid path: relative path escapes cwd "${filePath}" -> "${resolved}"`
+async function collectChunks(chunks) {
+  const collected = [];
+  for await (const chunk of chunks) {
+    collected.push(chunk);
+  }
+  return Buffer.concat(collected);
+}
+
+function requestOptions(url, options, extra = {}) {
+  const { network, maxRedirects, allowDowngrade, signal } = options;
+  return {
+    ...extra,
+    signal,
+    checkUrl: createUrlCheck(network),
+    headersFor: createHeaderResolver(options, url),
+    // A proxy connects on our behalf, so only direct connections can be guarded
+    dispatcherFor: async (target) =>
+      (await dispatcherFor(target, options)) ?? policyDispatcher(network),
+    maxRedirects,
+    allowDowngrade,
+  };
+}
+
+function resolveMimeType(declaredType, buffer, source, options = {}) {
+  const { strictMime = false } = options;
+  const sniffed = sniffMimeType(buffer);
+  const declared = normalizeMimeType(declaredType);
+  const expected = declared === 'application/octet-stream' ? null : declared;
+
+  if (sniffed && expected && sniffed !== expected) {
+    const disguised = isImageContentType(expected) && !isImageContentType(sniffed);
+    if (strictMime || disguised) {
+      throw new UnsupportedTypeError(
+        `MIME type mismatch: declared ${expected}, detected ${sniffed} for ${source}`,
+        { mimeType: sniffed }
       );
     }
   }
 
-  return normalized;
+  return sniffed || declaredType;
 }
 
-function isUrl(path) {
-  return URL_PATTERN.test(path);
+function describeImage(buffer, mimeType) {
+  const type = normalizeMimeType(mimeType);
+  const { width = null, height = null } = readDimensions(buffer, type) ?? {};
+  return { mimeType: type, size: buffer.length, width, height };
 }
 
-async function encodeLocalFile(filePath, options = {}) {
+function encodeImage(buffer, mimeType, options) {
+  return {
+    ...encodeDataUri(buffer, mimeType, options),
+    ...describeImage(buffer, mimeType),
+  };
+}
+
+// File system failures after the path check are reported with the input path
+function fileError(error, filePath, signal) {
+  if (signal?.aborted) {
+    return error;
+  }
+  if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+    return new NotFoundError(`File not found: ${filePath}`, {
+      path: filePath,
+      cause: error,
+    });
+  }
+  return new ImguriError(
+    `Cannot read file: ${filePath} (${error.code ?? error.message})`,
+    {
+      code: 'ERR_READ_FILE',
+      path: filePath,
+      cause: error,
+    }
+  );
+}
+
+async function checkLocalFile(filePath, options = {}) {
   const { force = false, sizeLimit = DEFAULT_SIZE_LIMIT } = options;
 
-  const safePath = validatePath(filePath);
+  const safePath = await createPathCheck(options)(filePath);
 
   if (!(await fileExists(safePath))) {
-    throw new Error(`File not found: ${filePath}`);
+    throw new NotFoundError(`File not found: ${filePath}`, { path: filePath });
   }
 
-  const size = await getFileSize(safePath);
+  const { size, mtimeMs, isFile } = await getFileStats(safePath).catch((error) => {
+    throw fileError(error, filePath);
+  });
+  if (!isFile) {
+    throw new ImguriError(`Not a file: ${filePath}`, {
+      code: 'ERR_NOT_A_FILE',
+      path: filePath,
+    });
+  }
   if (!force && size > sizeLimit) {
-    throw new Error(
-      `Size limit exceeded: ${size} > ${sizeLimit} bytes. Set options.force to override`
-    );
+    throw sizeLimitError(size, sizeLimit);
+  }
+
+  return { safePath, size, mtimeMs };
+}
+
+async function encodeLocalFile(filePath, options = {}) {
+  const { cache } = options;
+  const { safePath, size, mtimeMs } = await checkLocalFile(filePath, options);
+  const key = cache?.key(safePath, options);
+
+  if (cache) {
+    const entry = await cache.get(key);
+    if (entry && entry.size === size && entry.mtimeMs === mtimeMs) {
+      cache.record('hits');
+      return entry;
+    }
+    cache.record('misses');
   }
 
-  const mimeType = getMimeType(safePath);
+  const buffer = await readFileBuffer(safePath, { signal: options.signal }).catch(
+    (error) => {
+      throw fileError(error, filePath, options.signal);
+    }
+  );
+  const mimeType = resolveMimeType(getMimeType(safePath), buffer, filePath, options);
   if (!mimeType) {
-    throw new Error(`Unable to determine MIME type for: ${filePath}`);
+    throw unknownType(filePath);
   }
 
-  const buffer = await readFileBuffer(safePath);
-  return toDataUri(buffer, mimeType);
+  const result = encodeImage(buffer, mimeType, options);
+  return cache ? cache.set(key, { ...result, mtimeMs }) : result;
 }
 
-async function encodeRemoteUrl(url, options = {}) {
+async function checkRemoteUrl(url, options = {}, headers = {}) {
   const {
     force = false,
     sizeLimit = DEFAULT_SIZE_LIMIT,
     timeout = DEFAULT_TIMEOUT,
   } = options;
 
-  const { contentType, contentLength } = await fetchMetadata(url, timeout);
+  const metadata = await fetchMetadata(
+    url,
+    timeout,
+    requestOptions(url, options, { headers })
+  );
+  if (metadata.notModified) {
+    return metadata;
+  }
+
+  const { contentType, contentLength } = metadata;
 
   if (!isImageContentType(contentType)) {
-    throw new Error(`Not an image. Content-Type: ${contentType}, URL: ${url}`);
+    throw notAnImage(contentType, url);
   }
 
   if (contentLength > 0 && !force && contentLength > sizeLimit) {
-    throw new Error(
-      `Size limit exceeded: ${contentLength} > ${sizeLimit} bytes. Set options.force to override`
-    );
+    throw sizeLimitError(contentLength, sizeLimit);
+  }
+
+  return metadata;
+}
+
+function notAnImage(contentType, url) {
+  return new UnsupportedTypeError(
+    `Not an image. Content-Type: ${contentType}, URL: ${url}`,
+    {
+      mimeType: contentType,
+      url,
+    }
+  );
+}
+
+// Returns null when the HEAD request is skipped or rejected; the GET then checks the content
+async function probeRemoteUrl(url, options = {}, headers = {}) {
+  const { probe = DEFAULT_PROBE } = options;
+
+  if (!PROBES.includes(probe)) {
+    throw new TypeError(`Expected probe to be one of: ${PROBES.join(', ')}`);
+  }
+
+  if (probe === 'get') {
+    return null;
+  }
+
+  try {
+    return await checkRemoteUrl(url, options, headers);
+  } catch (error) {
+    if (probe === 'auto' && HEAD_REJECTED_STATUSES.includes(error.status)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function checkImageContent(contentType, head, url) {
+  const sniffed = sniffMimeType(head);
+  const image = sniffed ? isImageContentType(sniffed) : isImageContentType(contentType);
+  if (!image) {
+    throw notAnImage(contentType, url);
+  }
+}
+
+async function downloadRemoteUrl(url, metadata, options = {}, headers = {}) {
+  const {
+    force = false,
+    sizeLimit = DEFAULT_SIZE_LIMIT,
+    timeout = DEFAULT_TIMEOUT,
+  } = options;
+
+  const { stream, ...response } = await fetchStream(
+    metadata?.url ?? url,
+    timeout,
+    requestOptions(url, options, { maxBytes: force ? Infinity : sizeLimit, headers })
+  );
+  if (response.notModified) {
+    return response;
+  }
+
+  // The first bytes decide whether the rest is worth downloading. This holds after a
+  // successful HEAD too, since a GET can still answer with an HTML login or error page.
+  const chunks = [];
+  let received = 0;
+  let checked = false;
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    received += chunk.length;
+    if (!checked && received >= SNIFF_LENGTH) {
+      checkImageContent(response.contentType, Buffer.concat(chunks), url);
+      checked = true;
+    }
+  }
+
+  const buffer = Buffer.concat(chunks);
+  if (!checked) {
+    checkImageContent(response.contentType, buffer, url);
   }
 
-  const { buffer, contentType: actualContentType } = await fetchBuffer(url, timeout);
+  return { ...response, buffer };
+}
+
+function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) headers['if-none-match'] = entry.etag;
+  if (entry?.lastModified) headers['if-modified-since'] = entry.lastModified;
+  return headers;
+}
+
+function checkCachedSize(entry, options = {}) {
+  checkSizeLimit(entry.size, options);
+  return entry;
+}
+
+// Entries were fetched under whatever policy applied then, so the current one is checked
+async function checkCachedEntry(entry, url, options = {}) {
+  const checkUrl = createUrlCheck(options.network);
+  if (checkUrl) {
+    const targets = new Set([url, ...(entry.redirects ?? []), entry.url ?? url]);
+    for (const target of targets) {
+      await checkUrl(target, { resolve: !options.cache.offline });
+    }
+  }
+  return checkCachedSize(entry, options);
+}
+
+async function encodeRemoteUrl(url, options = {}) {
+  const { cache } = options;
+
+  const key = cache?.key(url, options, requestVariant(options));
+  const entry = cache ? await cache.get(key) : null;
+
+  if (entry && cache.isFresh(entry)) {
+    cache.record('hits');
+    return checkCachedEntry(entry, url, options);
+  }
+
+  if (cache?.offline) {
+    throw new ImguriError(`Offline: no cached entry for ${url}`, {
+      code: 'ERR_OFFLINE',
+      url,
+    });
+  }
 
-  if (!force && buffer.length > sizeLimit) {
-    throw new Error(
-      `Size limit exceeded: ${buffer.length} > ${sizeLimit} bytes. Set options.force to override`
+  const headers = conditionalHeaders(entry);
+  if (Object.keys(headers).length > 0) {
+    cache.record('revalidations');
+  }
+
+  // The download starts where the HEAD request ended up, so both see the same resource
+  const metadata = await probeRemoteUrl(url, options, headers);
+  const response = metadata?.notModified
+    ? metadata
+    : await downloadRemoteUrl(url, metadata, options, headers);
+
+  if (response.notModified && entry) {
+    cache.record('hits');
+    return checkCachedSize(await cache.set(key, entry), options);
+  }
+
+  cache?.record('misses');
+
+  const { buffer, contentType, etag, lastModified } = response;
+  const mimeType = resolveMimeType(contentType, buffer, url, options);
+  const result = {
+    ...encodeImage(buffer, mimeType, options),
+    url: response.url,
+    redirects: [...(metadata?.redirects ?? []), ...response.redirects],
+  };
+
+  return cache ? cache.set(key, { ...result, etag, lastModified }) : result;
+}
+
+// Data URIs pass through unchanged; decoding validates them and yields the details
+function encodeDataSource(dataUri, options = {}) {
+  const { mimeType, buffer, isBase64 } = decode(dataUri);
+  checkSizeLimit(buffer.length, options);
+
+  return {
+    dataUri: dataUri.trim(),
+    encoding: isBase64 ? 'base64' : 'percent',
+    ...describeImage(buffer, mimeType),
+  };
+}
+
+function declaredTypeOf(path, metadata) {
+  return metadata.mimeType ?? getMimeType(path.replace(/[?#].*$/, ''));
+}
+
+async function statResolved(path, resolver, options = {}) {
+  const metadata =
+    (await resolver.stat?.(new URL(path), { signal: options.signal })) ?? {};
+  if (metadata.size !== undefined) {
+    checkSizeLimit(metadata.size, options);
+  }
+  return metadata;
+}
+
+async function readResolved(path, resolver, options = {}) {
+  const content = await resolver.read(new URL(path), { signal: options.signal });
+  return limitChunks(contentChunks(content), options);
+}
+
+async function encodeResolved(path, resolver, options = {}) {
+  const { cache } = options;
+  const metadata = await statResolved(path, resolver, options);
+
+  // Entries are only reused while the resolver reports the same version
+  const key = cache && metadata.version !== undefined ? cache.key(path, options) : null;
+  if (key) {
+    const entry = await cache.get(key);
+    if (entry && entry.version === metadata.version) {
+      cache.record('hits');
+      return checkCachedSize(entry, options);
+    }
+    cache.record('misses');
+  }
+
+  const buffer = await collectChunks(await readResolved(path, resolver, options));
+  const mimeType = resolveMimeType(declaredTypeOf(path, metadata), buffer, path, options);
+  if (!mimeType) {
+    throw unknownType(path);
+  }
+
+  const result = encodeImage(buffer, mimeType, options);
+  return key ? cache.set(key, { ...result, version: metadata.version }) : result;
+}
+
+async function openResolved(path, resolver, options = {}) {
+  const metadata = await statResolved(path, resolver, options);
+  return {
+    stream: await readResolved(path, resolver, options),
+    declaredType: declaredTypeOf(path, metadata),
+    checkContent: false,
+  };
+}
+
+async function openRemoteStream(url, options = {}) {
+  const {
+    force = false,
+    sizeLimit = DEFAULT_SIZE_LIMIT,
+    timeout = DEFAULT_TIMEOUT,
+  } = options;
+
+  // Only opening the download is retried; bytes already emitted cannot be taken back
+  const { value } = await withRetry(
+    async () => {
+      const metadata = await probeRemoteUrl(url, options);
+      return fetchStream(
+        metadata?.url ?? url,
+        timeout,
+        requestOptions(url, options, { maxBytes: force ? Infinity : sizeLimit })
+      );
+    },
+    options.retry,
+    options.signal
+  );
+  return {
+    stream: value.stream,
+    declaredType: value.contentType,
+    // A HEAD response says nothing about the body, so the bytes are always checked
+    checkContent: true,
+  };
+}
+
+async function openLocalStream(filePath, options = {}) {
+  const { safePath } = await checkLocalFile(filePath, options);
+  return {
+    stream: createFileStream(safePath, { signal: options.signal }),
+    declaredType: getMimeType(safePath),
+    checkContent: false,
+  };
+}
+
+const localSource = {
+  name: 'local',
+  encode: encodeLocalFile,
+  open: openLocalStream,
+};
+
+const remoteSource = {
+  name: 'remote',
+  async encode(url, options = {}) {
+    const { value, attempts } = await withRetry(
+      () => encodeRemoteUrl(url, options),
+      options.retry,
+      options.signal
     );
+    return { ...value, attempts };
+  },
+  open: openRemoteStream,
+};
+
+const BUILTIN_SOURCES = {
+  http: remoteSource,
+  https: remoteSource,
+  file: {
+    name: 'local',
+    encode: (url, options) => encodeLocalFile(fileURLToPath(url), options),
+    open: (url, options) => openLocalStream(fileURLToPath(url), options),
+  },
+  data: {
+    name: 'data',
+    encode: async (dataUri, options) => encodeDataSource(dataUri, options),
+    open: async (dataUri) => {
+      const { mimeType, buffer } = decode(dataUri);
+      return { stream: [buffer], declaredType: mimeType, checkContent: false };
+    },
+  },
+};
+
+function customSource(scheme, resolver) {
+  return {
+    name: scheme,
+    async encode(path, options = {}) {
+      const { value, attempts } = await withRetry(
+        () => encodeResolved(path, resolver, options),
+        options.retry,
+        options.signal
+      );
+      return { ...value, attempts };
+    },
+    async open(path, options = {}) {
+      const { value } = await withRetry(
+        () => openResolved(path, resolver, options),
+        options.retry,
+        options.signal
+      );
+      return value;
+    },
+  };
+}
+
+// Custom resolvers take precedence, so built-in schemes can be replaced as well
+function sourceFor(path, options = {}) {
+  const scheme = schemeOf(path);
+  const resolver = normalizeResolvers(options.resolvers).get(scheme);
+  if (resolver) {
+    return customSource(scheme, resolver);
+  }
+  return BUILTIN_SOURCES[scheme] ?? localSource;
+}
+
+async function encodeSource(path, options = {}) {
+  const source = sourceFor(path, options);
+  try {
+    const result = await source.encode(path, options);
+    return { attempts: 1, url: null, redirects: [], ...result, source: source.name };
+  } catch (error) {
+    throw withPath(error, path);
+  }
+}
+
+function imageDetails(result) {
+  const { mimeType = null, size = null, width = null, height = null, source } = result;
+  return { mimeType, size, width, height, source };
+}
+
+function singleResult(result, options = {}) {
+  if (!options.detailed) {
+    return result.dataUri;
   }
 
-  return toDataUri(buffer, actualContentType);
+  const { dataUri, encoding } = result;
+  return { dataUri, encoding, ...imageDetails(result) };
 }
 
 export async function encodeSingle(path, options = {}) {
-  return isUrl(path) ? encodeRemoteUrl(path, options) : encodeLocalFile(path, options);
+  return singleResult(await encodeSource(path, options), options);
+}
+
+function isBinaryInput(input) {
+  return (
+    input instanceof ArrayBuffer ||
+    ArrayBuffer.isView(input) ||
+    input instanceof Blob ||
+    typeof input?.[Symbol.asyncIterator] === 'function'
+  );
+}
+
+export async function encodeBuffer(input, options = {}) {
+  if (!isBinaryInput(input)) {
+    throw new TypeError(
+      'Expected input to be a Buffer, Uint8Array, ArrayBuffer, Blob or Readable stream'
+    );
+  }
+
+  // Files carry their own name and blobs their own type
+  const { filename = input.name ?? null } = options;
+  const label = filename ?? 'buffer';
+
+  try {
+    if (input instanceof Blob) {
+      checkSizeLimit(input.size, options);
+    }
+    const buffer = await collectChunks(limitChunks(contentChunks(input), options));
+
+    const declaredType =
+      options.mimeType || input.type || (filename ? getMimeType(filename) : null);
+    const mimeType = resolveMimeType(declaredType, buffer, label, options);
+    if (!mimeType) {
+      throw unknownType(label);
+    }
+
+    return singleResult(
+      { ...encodeImage(buffer, mimeType, options), source: 'buffer' },
+      options
+    );
+  } catch (error) {
+    throw withPath(error, filename);
+  }
+}
+
+function openSourceStream(path, options = {}) {
+  return sourceFor(path, options).open(path, options);
+}
+
+function dataUriPrefix(declaredType, head, path, options, checkContent) {
+  if (checkContent) {
+    checkImageContent(declaredType, head, path);
+  }
+
+  const mimeType = resolveMimeType(declaredType, head, path, options);
+  if (!mimeType) {
+    throw unknownType(path);
+  }
+  return `data:${mimeType};base64,`;
+}
+
+async function* dataUriChunks(path, options = {}) {
+  const { stream, declaredType, checkContent } = await openSourceStream(path, options);
+
+  let pending = Buffer.alloc(0);
+  let prefixed = false;
+
+  for await (const chunk of stream) {
+    pending = Buffer.concat([pending, chunk]);
+
+    if (!prefixed) {
+      if (pending.length < SNIFF_LENGTH) continue;
+      yield dataUriPrefix(declaredType, pending, path, options, checkContent);
+      prefixed = true;
+    }
+
+    // Emit whole 3-byte groups so each base64 chunk concatenates without padding
+    const aligned = pending.length - (pending.length % 3);
+    if (aligned > 0) {
+      yield pending.subarray(0, aligned).toString('base64');
+      pending = pending.subarray(aligned);
+    }
+  }
+
+  if (!prefixed) {
+    yield dataUriPrefix(declaredType, pending, path, options, checkContent);
+  }
+  if (pending.length > 0) {
+    yield pending.toString('base64');
+  }
+}
+
+async function* streamDataUri(path, options = {}) {
+  try {
+    yield* dataUriChunks(path, options);
+  } catch (error) {
+    throw withPath(error, path);
+  }
+}
+
+export function encodeStream(path, options = {}) {
+  return Readable.from(streamDataUri(path, options), { objectMode: false });
+}
+
+// Inputs come from expandInputs(), which reports patterns it could not expand as errors
+async function settleSource(input, options = {}) {
+  const { path, pattern, error: expandError } = input;
+  const { signal, detailed = false } = options;
+  const { name: source } = sourceFor(path, options);
+
+  try {
+    if (expandError) throw expandError;
+
+    const result = await encodeSource(path, options);
+    const { dataUri, encoding, attempts, url, redirects } = result;
+    return {
+      data: dataUri,
+      error: null,
+      encoding,
+      attempts,
+      url,
+      redirects,
+      pattern,
+      ...(detailed ? imageDetails(result) : {}),
+    };
+  } catch (error) {
+    // Cancellation rejects the whole batch instead of being recorded per path
+    if (signal?.aborted) throw signal.reason;
+
+    return {
+      data: null,
+      error,
+      encoding: null,
+      attempts: error.attempts ?? 1,
+      url: null,
+      redirects: [],
+      pattern,
+      ...(detailed ? imageDetails({ source }) : {}),
+    };
+  }
 }
 
 export async function encode(paths, options = {}) {
-  const { concurrency = DEFAULT_CONCURRENCY } = options;
+  const { concurrency = DEFAULT_CONCURRENCY, signal, onProgress } = options;
   const pathArray = Array.isArray(paths) ? paths : [paths];
-  const uniquePaths = [...new Set(pathArray)];
-  const results = new Map();
-
-  for (let i = 0; i < uniquePaths.length; i += concurrency) {
-    const batch = uniquePaths.slice(i, i + concurrency);
-
-    await Promise.all(
-      batch.map(async (path) => {
-        try {
-          const data = await encodeSingle(path, options);
-          results.set(path, { data, error: null });
-        } catch (error) {
-          results.set(path, { data: null, error });
-        }
-      })
-    );
+
+  // A file matched by several inputs is encoded once, under the first of them
+  const inputs = new Map();
+  const seen = new Set();
+  for await (const input of expandInputs(pathArray, options)) {
+    const key = inputKey(input.path, options);
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    inputs.set(input.path, input);
+  }
+
+  const settled = new Map();
+  const progress = { completed: 0, failed: 0, total: inputs.size };
+
+  await runPool(
+    [...inputs.values()],
+    concurrency,
+    async (input) => {
+      const result = await settleSource(input, options);
+
+      settled.set(input.path, result);
+      progress.completed++;
+      if (result.error) progress.failed++;
+      onProgress?.({ ...progress, path: input.path });
+    },
+    { signal }
+  );
+
+  // Results keep input order regardless of which path settled first
+  return new Map([...inputs.keys()].map((path) => [path, settled.get(path)]));
+}
+
+export async function* encodeIterable(paths, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, signal } = options;
+  const source = typeof paths === 'string' ? [paths] : paths;
+
+  yield* mapPool(
+    expandInputs(source, options),
+    concurrency,
+    async (input, taskSignal) => ({
+      path: input.path,
+      ...(await settleSource(input, { ...options, signal: taskSignal })),
+    }),
+    { signal }
+  );
+}
+
+// Re-encodes files under the given paths, directories and patterns as they change
+export function watch(paths, options = {}) {
+  return createWatcher(paths, options, (path) =>
+    encodeSingle(path, { ...options, detailed: true })
+  );
+}
+
+function resolveReference(url, options = {}) {
+  const { baseDir = process.cwd(), rootDir = baseDir, baseUrl } = options;
+
+  if (!url) return { skip: 'empty' };
+  if (url.startsWith('#')) return { skip: 'fragment' };
+  if (/^data:/i.test(url)) return { skip: 'data-uri' };
+
+  if (SCHEME_PATTERN.test(url) || url.startsWith('//') || baseUrl) {
+    let target;
+    try {
+      target = new URL(url, baseUrl || PROTOCOL_RELATIVE_BASE);
+    } catch {
+      return { skip: 'invalid-url' };
+    }
+    const custom = normalizeResolvers(options.resolvers).has(schemeOf(target.href));
+    if (!isUrl(target.href) && !custom) return { skip: 'unsupported-scheme' };
+
+    const { hash } = target;
+    target.hash = '';
+    return { target: target.href, hash };
+  }
+
+  const [, pathPart, hash = ''] = url.match(/^([^?#]*)(?:\?[^#]*)?(#.*)?$/);
+  let filePath;
+  try {
+    filePath = decodeURIComponent(pathPart);
+  } catch {
+    filePath = pathPart;
+  }
+
+  const target = filePath.startsWith('/')
+    ? join(rootDir, filePath)
+    : resolve(baseDir, filePath);
+  return { target, hash };
+}
+
+function applyEdits(text, edits) {
+  let output = '';
+  let last = 0;
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  for (const { start, end, value } of sorted) {
+    output += text.slice(last, start) + value;
+    last = end;
+  }
+  return output + text.slice(last);
+}
+
+async function encodeReferences(references, options) {
+  const found = references.map(({ url, skip }) =>
+    skip ? { skip } : resolveReference(url, options)
+  );
+  const targets = found.filter(({ target }) => target).map(({ target }) => target);
+  const results = await encode(targets, { ...options, expand: false });
+
+  return references.map(({ url }, i) => {
+    const { target = null, hash, skip } = found[i];
+    const report = { url, resolved: target, reason: null, error: null };
+
+    if (skip) {
+      return { report: { ...report, status: 'skipped', reason: skip }, data: null };
+    }
+
+    const { data, error } = results.get(target);
+    if (error) {
+      const status =
+        error instanceof SizeLimitError
+          ? { status: 'skipped', reason: 'size-limit' }
+          : { status: 'failed' };
+      return { report: { ...report, ...status, error }, data: null };
+    }
+
+    return { report: { ...report, status: 'inlined' }, data: `${data}${hash}` };
+  });
+}
+
+export async function inlineCss(cssText, options = {}) {
+  if (typeof cssText !== 'string') {
+    throw new TypeError('Expected cssText to be a string');
+  }
+
+  const found = findCssUrls(cssText);
+  const encoded = await encodeReferences(found, options);
+
+  const edits = found
+    .map((reference, i) => ({ ...reference, data: encoded[i].data }))
+    .filter(({ data }) => data)
+    .map((reference) => ({
+      ...reference,
+      value: formatCssUrl(reference, reference.data),
+    }));
+
+  return {
+    css: applyEdits(cssText, edits),
+    references: encoded.map(({ report }) => report),
+  };
+}
+
+export async function inlineHtml(html, options = {}) {
+  if (typeof html !== 'string') {
+    throw new TypeError('Expected html to be a string');
+  }
+
+  const found = findHtmlReferences(html);
+  const encoded = await encodeReferences(found, options);
+
+  const attributeEdits = new Map();
+  found.forEach((reference, i) => {
+    const { data } = encoded[i];
+    if (!data) return;
+
+    const { attribute, start, end, format } = reference;
+    const value = escapeAttributeValue(format ? format(data) : data, attribute.quote);
+    const edits = attributeEdits.get(attribute) || [];
+    edits.push({ start, end, value });
+    attributeEdits.set(attribute, edits);
+  });
+
+  const edits = [...attributeEdits].map(([attribute, valueEdits]) => {
+    const quote = attribute.quote || '"';
+    const value = applyEdits(attribute.value, valueEdits);
+    return {
+      start: attribute.start,
+      end: attribute.end,
+      value: `${quote}${value}${quote}`,
+    };
+  });
+
+  return {
+    html: applyEdits(html, edits),
+    references: found.map(({ element, attribute }, i) => ({
+      element,
+      attribute: attribute.name,
+      ...encoded[i].report,
+    })),
+  };
+}
+
+export {
+  decode,
+  createCache,
+  generateCss,
+  generateModule,
+  generateJson,
+  ImguriError,
+  SizeLimitError,
+  NotFoundError,
+  PathSecurityError,
+  UnsupportedTypeError,
+  HttpError,
+  TimeoutError,
+  NetworkPolicyError,
+};
+
+export async function decodeToFile(dataUri, filePath) {
+  const { mimeType, buffer } = decode(dataUri);
+
+  let targetPath = filePath;
+  if (!extname(filePath)) {
+    const extension = getExtension(mimeType);
+    if (!extension) {
+      throw new UnsupportedTypeError(
+        `Unable to determine file extension for MIME type: ${mimeType}`,
+        { mimeType }
+      );
+    }
+    targetPath = `${filePath}.${extension}`;
   }
 
-  return results;
+  const safePath = await createPathCheck()(targetPath);
+  await writeFileBuffer(safePath, buffer);
+  return safePath;
 }
 
 export function encodeLegacy(paths, options, callback) {
@@ -143,4 +988,28 @@ export function encodeLegacy(paths, options, callback) {
     .catch((error) => callback(error));
 }
 
-export default { encode, encodeSingle, encodeLegacy };
+export default {
+  encode,
+  encodeIterable,
+  watch,
+  encodeSingle,
+  encodeBuffer,
+  encodeStream,
+  decode,
+  decodeToFile,
+  createCache,
+  generateCss,
+  generateModule,
+  generateJson,
+  ImguriError,
+  SizeLimitError,
+  NotFoundError,
+  PathSecurityError,
+  UnsupportedTypeError,
+  HttpError,
+  TimeoutError,
+  NetworkPolicyError,
+  inlineCss,
+  inlineHtml,
+  encodeLegacy,
+};
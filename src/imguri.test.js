@@ -1,9 +1,35 @@
 import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
-import { encodeSingle, encode } from './imguri.js';
-import { writeFile, rm, mkdtemp } from 'fs/promises';
+import {
+  encodeSingle,
+  encodeBuffer,
+  encodeStream,
+  encode,
+  encodeIterable,
+  watch,
+  decodeToFile,
+  inlineCss,
+  inlineHtml,
+  createCache,
+  generateCss,
+  generateModule,
+  generateJson,
+  ImguriError,
+  SizeLimitError,
+  NotFoundError,
+  PathSecurityError,
+  UnsupportedTypeError,
+  HttpError,
+  TimeoutError,
+  NetworkPolicyError,
+} from './imguri.js';
+import { writeFile, readFile, rm, mkdtemp, mkdir, utimes, symlink } from 'fs/promises';
 import { join } from 'path';
 import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
 import nock from 'nock';
+import { File } from 'buffer';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
 
 let testDir;
 let testImagePath;
@@ -17,6 +43,11 @@ const testPngBuffer = Buffer.from([
   0xb4, 0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
 ]);
 
+// Minimal JPEG header (SOI + APP0 marker)
+const testJpegBuffer = Buffer.from([
+  0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01,
+]);
+
 beforeAll(async () => {
   // Create temporary directory for test files
   testDir = await mkdtemp(join(tmpdir(), 'imguri-test-'));
@@ -51,6 +82,41 @@ describe('encodeSingle - local files', () => {
     );
   });
 
+  it('should detect MIME type of extensionless files from content', async () => {
+    const file = join(testDir, 'no-extension');
+    await writeFile(file, testPngBuffer);
+    await expect(encodeSingle(file)).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should prefer detected content type over file extension', async () => {
+    const file = join(testDir, 'really-jpeg.png');
+    await writeFile(file, testJpegBuffer);
+    await expect(encodeSingle(file)).resolves.toMatch(/^data:image\/jpeg;base64,/);
+  });
+
+  it('should reject extension mismatch with strictMime', async () => {
+    const file = join(testDir, 'really-jpeg.png');
+    await writeFile(file, testJpegBuffer);
+    await expect(encodeSingle(file, { strictMime: true })).rejects.toThrow(
+      'MIME type mismatch: declared image/png, detected image/jpeg'
+    );
+  });
+
+  it('should reject HTML content with an image extension', async () => {
+    const file = join(testDir, 'error-page.png');
+    await writeFile(file, '<!DOCTYPE html><html><body>Not Found</body></html>');
+    await expect(encodeSingle(file)).rejects.toThrow('MIME type mismatch');
+  });
+
+  it('should percent-encode SVG files in auto encoding mode', async () => {
+    const file = join(testDir, 'icon.svg');
+    await writeFile(file, '<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>');
+
+    await expect(encodeSingle(file, { encoding: 'auto' })).resolves.toBe(
+      'data:image/svg+xml;charset=utf-8,<svg xmlns=%22http://www.w3.org/2000/svg%22><rect/></svg>'
+    );
+  });
+
   it('should enforce size limit (128KB default)', async () => {
     const largeFile = join(testDir, 'large.png');
     await writeFile(largeFile, Buffer.alloc(150000));
@@ -135,6 +201,16 @@ describe('encode - batch processing', () => {
     expect(results.get(invalidFile)?.error).toBeInstanceOf(Error);
   });
 
+  it('should report the chosen encoding', async () => {
+    const svgFile = join(testDir, 'batch.svg');
+    await writeFile(svgFile, '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+    const results = await encode([svgFile, testImagePath], { encoding: 'auto' });
+
+    expect(results.get(svgFile)?.encoding).toBe('percent');
+    expect(results.get(testImagePath)?.encoding).toBe('base64');
+  });
+
   it('should handle single path string', async () => {
     const results = await encode(testImagePath);
     expect(results.size).toBe(1);
@@ -199,7 +275,7 @@ describe('encodeSingle - remote URLs', () => {
         'content-length': String(testPngBuffer.length),
       });
 
-    nock('http://example.com').get('/image.jpg').reply(200, testPngBuffer, {
+    nock('http://example.com').get('/image.jpg').reply(200, testJpegBuffer, {
       'content-type': 'image/jpeg',
     });
 
@@ -218,6 +294,59 @@ describe('encodeSingle - remote URLs', () => {
     );
   });
 
+  it('should correct a wrong Content-Type from content', async () => {
+    nock(TEST_HOST).head('/photo.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST).get('/photo.png').reply(200, testJpegBuffer, {
+      'content-type': 'image/png',
+    });
+
+    const result = await encodeSingle(`${TEST_HOST}/photo.png`);
+    expect(result).toMatch(/^data:image\/jpeg;base64,/);
+  });
+
+  it('should detect type when GET response has no Content-Type', async () => {
+    nock(TEST_HOST).head('/image.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST).get('/image.png').reply(200, testPngBuffer);
+
+    const result = await encodeSingle(TEST_IMAGE_URL);
+    expect(result).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should reject HTML error page labelled as image', async () => {
+    nock(TEST_HOST).head('/image.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST).get('/image.png').reply(200, '<html><body>Login</body></html>', {
+      'content-type': 'image/png',
+    });
+
+    // The GET body is sniffed as it arrives, even though HEAD said image/png
+    await expect(encodeSingle(TEST_IMAGE_URL)).rejects.toThrow(
+      'Not an image. Content-Type: image/png'
+    );
+  });
+
+  it('should check the GET body after a successful HEAD', async () => {
+    const page = '<!DOCTYPE html><html><body>Sign in</body></html>';
+    for (const probe of ['head', 'auto']) {
+      nock(TEST_HOST).head('/image.png').reply(200, '', { 'content-type': 'image/png' });
+      nock(TEST_HOST).get('/image.png').reply(200, page, { 'content-type': 'text/html' });
+
+      await expect(encodeSingle(TEST_IMAGE_URL, { probe })).rejects.toThrow(
+        UnsupportedTypeError
+      );
+    }
+  });
+
+  it('should reject Content-Type mismatch with strictMime', async () => {
+    nock(TEST_HOST).head('/photo.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST).get('/photo.png').reply(200, testJpegBuffer, {
+      'content-type': 'image/png',
+    });
+
+    await expect(
+      encodeSingle(`${TEST_HOST}/photo.png`, { strictMime: true })
+    ).rejects.toThrow('MIME type mismatch');
+  });
+
   it('should enforce size limit for remote URLs', async () => {
     nock(TEST_HOST).head('/large.png').reply(200, '', {
       'content-type': 'image/png',
@@ -284,6 +413,23 @@ describe('encodeSingle - remote URLs', () => {
       'Size limit exceeded'
     );
   });
+
+  it('should report bytes received when download is aborted', async () => {
+    nock(TEST_HOST).head('/lying.png').reply(200, '', {
+      'content-type': 'image/png',
+      'content-length': '10',
+    });
+
+    nock(TEST_HOST)
+      .get('/lying.png')
+      .reply(200, () => Readable.from([Buffer.alloc(600), Buffer.alloc(600)]), {
+        'content-type': 'image/png',
+      });
+
+    await expect(
+      encodeSingle(`${TEST_HOST}/lying.png`, { sizeLimit: 1000 })
+    ).rejects.toThrow('download aborted after receiving 1200 bytes (limit 1000 bytes)');
+  });
 });
 
 describe('encode - batch with remote URLs', () => {
@@ -339,3 +485,1714 @@ describe('encode - batch with remote URLs', () => {
     expect(results.get(`${TEST_HOST}/fail.png`)?.error).toBeInstanceOf(Error);
   });
 });
+
+describe('decodeToFile', () => {
+  it('should write decoded buffer with extension from MIME type', async () => {
+    const dataUri = `data:image/png;base64,${testPngBuffer.toString('base64')}`;
+    const written = await decodeToFile(dataUri, join(testDir, 'decoded'));
+
+    expect(written).toBe(join(testDir, 'decoded.png'));
+    expect((await readFile(written)).equals(testPngBuffer)).toBe(true);
+  });
+
+  it('should keep an explicit extension', async () => {
+    const written = await decodeToFile(
+      'data:image/svg+xml,%3Csvg%2F%3E',
+      join(testDir, 'icon.xml')
+    );
+
+    expect(written).toBe(join(testDir, 'icon.xml'));
+    expect(await readFile(written, 'utf8')).toBe('<svg/>');
+  });
+
+  it('should reject unknown MIME types without extension', async () => {
+    await expect(
+      decodeToFile('data:application/x-unknown;base64,AA==', join(testDir, 'blob'))
+    ).rejects.toThrow('Unable to determine file extension');
+  });
+
+  it('should reject path traversal', async () => {
+    await expect(decodeToFile('data:,x', '../escape.txt')).rejects.toThrow(
+      'path traversal detected'
+    );
+  });
+
+  it('should reject malformed data URIs', async () => {
+    await expect(decodeToFile('data:image/png', join(testDir, 'bad'))).rejects.toThrow(
+      'Invalid data URI'
+    );
+  });
+});
+
+describe('inlineCss', () => {
+  const TEST_HOST = 'https://cdn.example.com';
+  let cssDir;
+
+  beforeAll(async () => {
+    cssDir = join(testDir, 'css');
+    await mkdir(join(cssDir, 'img'), { recursive: true });
+    await writeFile(join(cssDir, 'img', 'icon.png'), testPngBuffer);
+    await writeFile(join(cssDir, 'img', 'big.png'), Buffer.alloc(2000));
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should inline local references relative to baseDir', async () => {
+    const { css, references } = await inlineCss(
+      '.icon { background: url("img/icon.png") no-repeat; }',
+      { baseDir: cssDir }
+    );
+
+    expect(css).toMatch(
+      /^\.icon \{ background: url\("data:image\/png;base64,[^"]+"\) no-repeat; \}$/
+    );
+    expect(references).toEqual([
+      {
+        url: 'img/icon.png',
+        resolved: join(cssDir, 'img', 'icon.png'),
+        status: 'inlined',
+        reason: null,
+        error: null,
+      },
+    ]);
+  });
+
+  it('should resolve root-relative references against rootDir', async () => {
+    const { css } = await inlineCss('a { background: url(/img/icon.png) }', {
+      baseDir: join(cssDir, 'nested'),
+      rootDir: cssDir,
+    });
+
+    expect(css).toMatch(/url\(data:image\/png;base64,/);
+  });
+
+  it('should strip query strings and keep fragments', async () => {
+    const { css } = await inlineCss('a { background: url(img/icon.png?v=2#frag) }', {
+      baseDir: cssDir,
+    });
+
+    expect(css).toMatch(/url\(data:image\/png;base64,[^)#]+#frag\)/);
+  });
+
+  it('should inline references in @font-face and image-set()', async () => {
+    const { css, references } = await inlineCss(
+      `@font-face { src: url(img/icon.png) format("png"); }
+       a { background-image: image-set("img/icon.png" 1x); }`,
+      { baseDir: cssDir }
+    );
+
+    expect(references.map(({ status }) => status)).toEqual(['inlined', 'inlined']);
+    expect(css).toMatch(/image-set\("data:image\/png;base64,[^"]+" 1x\)/);
+  });
+
+  it('should leave data URIs and fragment-only urls untouched', async () => {
+    const input = 'a { background: url(data:image/gif;base64,R0lGOD==); mask: url(#m) }';
+    const { css, references } = await inlineCss(input, { baseDir: cssDir });
+
+    expect(css).toBe(input);
+    expect(references.map(({ reason }) => reason)).toEqual(['data-uri', 'fragment']);
+    expect(references.every(({ status }) => status === 'skipped')).toBe(true);
+  });
+
+  it('should quote percent-encoded data URIs in CSS', async () => {
+    await writeFile(join(cssDir, 'img', 'icon.svg'), '<svg a="1"/>');
+
+    const { css } = await inlineCss('a { background: url(img/icon.svg) }', {
+      baseDir: cssDir,
+      encoding: 'percent',
+    });
+
+    expect(css).toBe(
+      'a { background: url("data:image/svg+xml;charset=utf-8,<svg a=%221%22/>") }'
+    );
+  });
+
+  it('should report references over the size limit as skipped', async () => {
+    const input = 'a { background: url(img/big.png) }';
+    const { css, references } = await inlineCss(input, {
+      baseDir: cssDir,
+      sizeLimit: 1000,
+    });
+
+    expect(css).toBe(input);
+    expect(references[0].status).toBe('skipped');
+    expect(references[0].reason).toBe('size-limit');
+    expect(references[0].error.message).toMatch('Size limit exceeded');
+  });
+
+  it('should report missing files as failed', async () => {
+    const input = 'a { background: url(img/missing.png) }';
+    const { css, references } = await inlineCss(input, { baseDir: cssDir });
+
+    expect(css).toBe(input);
+    expect(references[0].status).toBe('failed');
+    expect(references[0].error.message).toMatch('File not found');
+  });
+
+  it('should resolve relative references against baseUrl', async () => {
+    nock(TEST_HOST).head('/assets/img/logo.png').reply(200, '', {
+      'content-type': 'image/png',
+    });
+    nock(TEST_HOST).get('/assets/img/logo.png').reply(200, testPngBuffer, {
+      'content-type': 'image/png',
+    });
+
+    const { css, references } = await inlineCss('a { background: url(img/logo.png) }', {
+      baseUrl: `${TEST_HOST}/assets/site.css`,
+    });
+
+    expect(css).toMatch(/url\(data:image\/png;base64,/);
+    expect(references[0].resolved).toBe(`${TEST_HOST}/assets/img/logo.png`);
+  });
+
+  it('should encode absolute and protocol-relative URLs once', async () => {
+    nock(TEST_HOST).head('/logo.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST).get('/logo.png').reply(200, testPngBuffer, {
+      'content-type': 'image/png',
+    });
+
+    const { references } = await inlineCss(
+      `a { background: url(${TEST_HOST}/logo.png) } b { background: url(//cdn.example.com/logo.png) }`
+    );
+
+    expect(references.map(({ status }) => status)).toEqual(['inlined', 'inlined']);
+  });
+
+  it('should skip unsupported schemes', async () => {
+    const { references } = await inlineCss('a { background: url(ftp://host/a.png) }');
+    expect(references[0]).toMatchObject({
+      status: 'skipped',
+      reason: 'unsupported-scheme',
+    });
+  });
+
+  it('should throw TypeError for non-string input', async () => {
+    await expect(inlineCss(null)).rejects.toThrow(TypeError);
+  });
+});
+
+describe('inlineHtml', () => {
+  let htmlDir;
+  let pngUri;
+
+  beforeAll(async () => {
+    htmlDir = join(testDir, 'html');
+    await mkdir(join(htmlDir, 'img'), { recursive: true });
+    await writeFile(join(htmlDir, 'img', 'a.png'), testPngBuffer);
+    await writeFile(join(htmlDir, 'img', 'b.png'), testPngBuffer);
+    pngUri = `data:image/png;base64,${testPngBuffer.toString('base64')}`;
+  });
+
+  it('should rewrite img src and keep other markup intact', async () => {
+    const { html, references } = await inlineHtml(
+      '<p class="x"><img alt="A &amp; B" src="img/a.png" width=1></p>',
+      { baseDir: htmlDir }
+    );
+
+    expect(html).toBe(`<p class="x"><img alt="A &amp; B" src="${pngUri}" width=1></p>`);
+    expect(references).toEqual([
+      {
+        element: 'img',
+        attribute: 'src',
+        url: 'img/a.png',
+        resolved: join(htmlDir, 'img', 'a.png'),
+        status: 'inlined',
+        reason: null,
+        error: null,
+      },
+    ]);
+  });
+
+  it('should rewrite each srcset candidate and keep descriptors', async () => {
+    const { html } = await inlineHtml(
+      '<img srcset="img/a.png 1x, img/b.png 2x" src="img/a.png">',
+      { baseDir: htmlDir }
+    );
+
+    expect(html).toBe(`<img srcset="${pngUri} 1x, ${pngUri} 2x" src="${pngUri}">`);
+  });
+
+  it('should rewrite icon links, image inputs and posters', async () => {
+    const { html, references } = await inlineHtml(
+      `<link rel="icon" href="img/a.png"><input type="image" src='img/a.png'>
+       <video poster=img/b.png></video>`,
+      { baseDir: htmlDir }
+    );
+
+    expect(references.map(({ status }) => status)).toEqual([
+      'inlined',
+      'inlined',
+      'inlined',
+    ]);
+    expect(html).toContain(`<link rel="icon" href="${pngUri}">`);
+    expect(html).toContain(`<input type="image" src='${pngUri}'>`);
+    expect(html).toContain(`<video poster="${pngUri}"></video>`);
+  });
+
+  it('should keep percent-encoded SVG usable in srcset and style', async () => {
+    await writeFile(join(htmlDir, 'img', 'icon.svg'), '<svg a="1"/>');
+
+    const { html } = await inlineHtml(
+      '<img srcset="img/icon.svg 2x"><i style="background:url(img/icon.svg)"></i>',
+      { baseDir: htmlDir, encoding: 'percent' }
+    );
+
+    expect(html).toBe(
+      '<img srcset="data:image/svg+xml;charset=utf-8,<svg%20a=%221%22/> 2x">' +
+        '<i style="background:url(&quot;data:image/svg+xml;charset=utf-8,<svg a=%221%22/>&quot;)"></i>'
+    );
+  });
+
+  it('should rewrite url() in style attributes', async () => {
+    const { html } = await inlineHtml(
+      `<div style="background: url('img/a.png') no-repeat"></div>`,
+      { baseDir: htmlDir }
+    );
+
+    expect(html).toBe(`<div style="background: url('${pngUri}') no-repeat"></div>`);
+  });
+
+  it('should rewrite url() quoted with entities in style attributes', async () => {
+    const { html } = await inlineHtml(
+      '<div style="background: url(&quot;img/a.png&quot;)"></div>',
+      { baseDir: htmlDir }
+    );
+
+    expect(html).toBe(`<div style="background: url(&quot;${pngUri}&quot;)"></div>`);
+  });
+
+  it('should skip elements with data-imguri-skip', async () => {
+    const input = '<img data-imguri-skip src="img/a.png">';
+    const { html, references } = await inlineHtml(input, { baseDir: htmlDir });
+
+    expect(html).toBe(input);
+    expect(references[0]).toMatchObject({ status: 'skipped', reason: 'opt-out' });
+  });
+
+  it('should leave failed references untouched', async () => {
+    const input = '<img src="img/missing.png"><img src="img/a.png">';
+    const { html, references } = await inlineHtml(input, { baseDir: htmlDir });
+
+    expect(html).toBe(`<img src="img/missing.png"><img src="${pngUri}">`);
+    expect(references.map(({ status }) => status)).toEqual(['failed', 'inlined']);
+  });
+
+  it('should report size-limited references as skipped', async () => {
+    const { references } = await inlineHtml('<img src="img/a.png">', {
+      baseDir: htmlDir,
+      sizeLimit: 10,
+    });
+
+    expect(references[0]).toMatchObject({ status: 'skipped', reason: 'size-limit' });
+  });
+
+  it('should throw TypeError for non-string input', async () => {
+    await expect(inlineHtml(undefined)).rejects.toThrow(TypeError);
+  });
+});
+
+describe('encodeStream', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should stream the same data URI as encodeSingle', async () => {
+    const streamed = await text(encodeStream(testImagePath));
+    expect(streamed).toBe(await encodeSingle(testImagePath));
+  });
+
+  it('should emit chunk-aligned base64 for large files', async () => {
+    const file = join(testDir, 'stream-large.png');
+    const buffer = Buffer.concat([testPngBuffer, Buffer.alloc(200001, 7)]);
+    await writeFile(file, buffer);
+
+    const chunks = [];
+    for await (const chunk of encodeStream(file, { force: true })) {
+      chunks.push(chunk.toString());
+    }
+
+    expect(chunks[0]).toBe('data:image/png;base64,');
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks.slice(1, -1).every((chunk) => !chunk.includes('='))).toBe(true);
+    expect(chunks.join('')).toBe(`data:image/png;base64,${buffer.toString('base64')}`);
+  });
+
+  it('should detect MIME type from the first bytes', async () => {
+    const file = join(testDir, 'stream-no-extension');
+    await writeFile(file, testPngBuffer);
+
+    expect(await text(encodeStream(file))).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should enforce size limit unless forced', async () => {
+    const file = join(testDir, 'stream-limit.png');
+    await writeFile(file, Buffer.alloc(500));
+
+    await expect(text(encodeStream(file, { sizeLimit: 400 }))).rejects.toThrow(
+      'Size limit exceeded'
+    );
+    await expect(
+      text(encodeStream(file, { sizeLimit: 400, force: true }))
+    ).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should emit errors for missing files', async () => {
+    await expect(text(encodeStream(join(testDir, 'missing.png')))).rejects.toThrow(
+      'File not found'
+    );
+  });
+
+  it('should stream remote URLs', async () => {
+    nock(TEST_HOST).head('/stream.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/stream.png')
+      .reply(
+        200,
+        () => Readable.from([testPngBuffer.subarray(0, 5), testPngBuffer.subarray(5)]),
+        {
+          'content-type': 'image/png',
+        }
+      );
+
+    await expect(text(encodeStream(`${TEST_HOST}/stream.png`))).resolves.toBe(
+      `data:image/png;base64,${testPngBuffer.toString('base64')}`
+    );
+  });
+
+  it('should abort remote streams over the size limit', async () => {
+    nock(TEST_HOST).head('/huge.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/huge.png')
+      .reply(
+        200,
+        () => Readable.from(Array.from({ length: 10 }, () => Buffer.alloc(1000))),
+        {
+          'content-type': 'image/png',
+        }
+      );
+
+    await expect(
+      text(encodeStream(`${TEST_HOST}/huge.png`, { sizeLimit: 2500 }))
+    ).rejects.toThrow('download aborted after receiving 3000 bytes');
+  });
+});
+
+describe('cache', () => {
+  const TEST_HOST = 'https://example.com';
+  const TEST_URL = `${TEST_HOST}/cached.png`;
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  function mockImage(headers = {}) {
+    nock(TEST_HOST).head('/cached.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/cached.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png', ...headers });
+  }
+
+  it('should revalidate with If-None-Match and reuse the entry on 304', async () => {
+    const cache = createCache();
+    mockImage({ etag: '"v1"' });
+    const first = await encodeSingle(TEST_URL, { cache });
+
+    nock(TEST_HOST).head('/cached.png').matchHeader('if-none-match', '"v1"').reply(304);
+    const second = await encodeSingle(TEST_URL, { cache });
+
+    expect(second).toBe(first);
+    expect(nock.isDone()).toBe(true);
+    expect(cache.stats()).toEqual({ hits: 1, misses: 1, revalidations: 1, entries: 1 });
+  });
+
+  it('should revalidate with If-Modified-Since', async () => {
+    const cache = createCache();
+    const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+    mockImage({ 'last-modified': lastModified });
+    await encodeSingle(TEST_URL, { cache });
+
+    nock(TEST_HOST)
+      .head('/cached.png')
+      .matchHeader('if-modified-since', lastModified)
+      .reply(304);
+    await encodeSingle(TEST_URL, { cache });
+
+    expect(nock.isDone()).toBe(true);
+    expect(cache.stats().hits).toBe(1);
+  });
+
+  it('should replace the entry when the resource changed', async () => {
+    const cache = createCache();
+    mockImage({ etag: '"v1"' });
+    await encodeSingle(TEST_URL, { cache });
+
+    nock(TEST_HOST).head('/cached.png').reply(200, '', { 'content-type': 'image/jpeg' });
+    nock(TEST_HOST)
+      .get('/cached.png')
+      .reply(200, testJpegBuffer, { 'content-type': 'image/jpeg', etag: '"v2"' });
+
+    const result = await encodeSingle(TEST_URL, { cache });
+    expect(result).toMatch(/^data:image\/jpeg;base64,/);
+    expect(cache.stats()).toMatchObject({ hits: 0, misses: 2, revalidations: 1 });
+  });
+
+  it('should skip the network for entries within maxAge', async () => {
+    const cache = createCache({ maxAge: 60_000 });
+    mockImage();
+    const first = await encodeSingle(TEST_URL, { cache });
+
+    expect(await encodeSingle(TEST_URL, { cache })).toBe(first);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('should serve from the cache only in offline mode', async () => {
+    const cacheDir = await mkdtemp(join(tmpdir(), 'imguri-cache-'));
+    try {
+      mockImage({ etag: '"v1"' });
+      const first = await encodeSingle(TEST_URL, {
+        cache: createCache({ dir: cacheDir }),
+      });
+
+      const offline = createCache({ dir: cacheDir, offline: true });
+      expect(await encodeSingle(TEST_URL, { cache: offline })).toBe(first);
+      await expect(
+        encodeSingle(`${TEST_HOST}/uncached.png`, { cache: offline })
+      ).rejects.toThrow('Offline: no cached entry');
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not share entries between requests with different credentials', async () => {
+    const cache = createCache({ maxAge: 60_000 });
+    mockImage();
+    await encodeSingle(TEST_URL, { cache, auth: { token: 'secret' } });
+
+    for (const options of [{}, { auth: { token: 'other' } }, { cookies: 'id=1' }]) {
+      nock(TEST_HOST).head('/cached.png').reply(401);
+      await expect(encodeSingle(TEST_URL, { cache, ...options })).rejects.toBeInstanceOf(
+        HttpError
+      );
+    }
+    expect(nock.isDone()).toBe(true);
+    await expect(
+      encodeSingle(TEST_URL, { cache, auth: { token: 'secret' } })
+    ).resolves.toMatch(/^data:image\/png/);
+  });
+
+  it('should apply the network policy to cached entries', async () => {
+    const cache = createCache({ maxAge: 60_000 });
+    mockImage();
+    await encodeSingle(TEST_URL, { cache });
+
+    await expect(
+      encodeSingle(TEST_URL, { cache, network: { denyHosts: ['example.com'] } })
+    ).rejects.toMatchObject({ code: 'ERR_NETWORK_POLICY', reason: 'denied-host' });
+    await expect(
+      encodeSingle(TEST_URL, { cache, network: { lookup: async () => ['10.0.0.1'] } })
+    ).rejects.toMatchObject({ reason: 'private-address' });
+  });
+
+  it('should check host rules without DNS in offline mode', async () => {
+    const cacheDir = await mkdtemp(join(tmpdir(), 'imguri-cache-'));
+    try {
+      mockImage();
+      await encodeSingle(TEST_URL, { cache: createCache({ dir: cacheDir }) });
+
+      const cache = createCache({ dir: cacheDir, offline: true });
+      const lookup = async () => {
+        throw new Error('Unexpected lookup');
+      };
+      await expect(
+        encodeSingle(TEST_URL, { cache, network: { lookup } })
+      ).resolves.toMatch(/^data:image\/png/);
+      await expect(
+        encodeSingle(TEST_URL, { cache, network: { allowHosts: ['cdn.example.com'] } })
+      ).rejects.toBeInstanceOf(NetworkPolicyError);
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should apply the size limit to cached entries', async () => {
+    const cache = createCache({ maxAge: 60_000 });
+    mockImage();
+    await encodeSingle(TEST_URL, { cache });
+
+    await expect(encodeSingle(TEST_URL, { cache, sizeLimit: 10 })).rejects.toThrow(
+      'Size limit exceeded'
+    );
+  });
+
+  it('should invalidate local entries when the file changes', async () => {
+    const cache = createCache();
+    const filePath = join(testDir, 'cached.png');
+    await writeFile(filePath, testPngBuffer);
+
+    await encodeSingle(filePath, { cache });
+    await encodeSingle(filePath, { cache });
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+
+    await writeFile(filePath, testJpegBuffer);
+    await utimes(filePath, new Date(), new Date(Date.now() + 5000));
+    const result = await encodeSingle(filePath, { cache, force: true });
+
+    expect(result).toMatch(/^data:image\/jpeg;base64,/);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+});
+
+describe('retry', () => {
+  const TEST_HOST = 'https://example.com';
+  const TEST_URL = `${TEST_HOST}/flaky.png`;
+  const retry = { retries: 2, minDelay: 1, maxDelay: 10 };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should retry transient failures and report attempts', async () => {
+    nock(TEST_HOST).head('/flaky.png').reply(503, '', { 'retry-after': '0' });
+    nock(TEST_HOST).head('/flaky.png').replyWithError('socket hang up');
+    nock(TEST_HOST).head('/flaky.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/flaky.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const result = (await encode([TEST_URL], { retry })).get(TEST_URL);
+
+    expect(result.error).toBeNull();
+    expect(result.data).toMatch(/^data:image\/png;base64,/);
+    expect(result.attempts).toBe(3);
+  });
+
+  it('should report attempts when retries are exhausted', async () => {
+    nock(TEST_HOST).head('/flaky.png').times(3).reply(502);
+
+    const result = (await encode([TEST_URL], { retry })).get(TEST_URL);
+
+    expect(result.error.message).toBe('HTTP 502: Bad Gateway');
+    expect(result.attempts).toBe(3);
+    expect(nock.isDone()).toBe(true);
+  });
+
+  it('should not retry client errors', async () => {
+    nock(TEST_HOST).head('/flaky.png').reply(404);
+
+    const result = (await encode([TEST_URL], { retry })).get(TEST_URL);
+
+    expect(result.error.message).toMatch('HTTP 404');
+    expect(result.attempts).toBe(1);
+  });
+
+  it('should not retry without a retry policy', async () => {
+    nock(TEST_HOST).head('/flaky.png').reply(503);
+
+    await expect(encodeSingle(TEST_URL)).rejects.toMatchObject({ attempts: 1 });
+  });
+
+  it('should report one attempt for local files', async () => {
+    const result = (await encode([testImagePath], { retry })).get(testImagePath);
+    expect(result.attempts).toBe(1);
+  });
+});
+
+describe('network policy', () => {
+  const TEST_HOST = 'https://example.com';
+  const lookup = async (hostname) =>
+    hostname === 'internal.example.com' ? ['10.0.0.5'] : ['93.184.216.34'];
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should encode URLs the policy allows', async () => {
+    nock(TEST_HOST).head('/image.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/image.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const result = await encodeSingle(`${TEST_HOST}/image.png`, { network: { lookup } });
+    expect(result).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should reject private addresses before sending a request', async () => {
+    const scope = nock('https://internal.example.com').head('/image.png').reply(200);
+
+    await expect(
+      encodeSingle('https://internal.example.com/image.png', { network: { lookup } })
+    ).rejects.toBeInstanceOf(NetworkPolicyError);
+    expect(scope.isDone()).toBe(false);
+  });
+
+  it('should check every redirect hop', async () => {
+    nock(TEST_HOST)
+      .head('/image.png')
+      .reply(302, '', { location: 'https://internal.example.com/secret.png' });
+
+    const result = (
+      await encode([`${TEST_HOST}/image.png`], { network: { lookup }, retry: 2 })
+    ).get(`${TEST_HOST}/image.png`);
+
+    expect(result.error).toBeInstanceOf(NetworkPolicyError);
+    expect(result.error.reason).toBe('private-address');
+    expect(result.error.url).toBe('https://internal.example.com/secret.png');
+    expect(result.attempts).toBe(1);
+  });
+
+  it('should reject hosts outside the allowlist', async () => {
+    await expect(
+      encodeSingle('https://evil.test/image.png', {
+        network: { lookup, allowHosts: ['*.example.com', 'example.com'] },
+      })
+    ).rejects.toMatchObject({ reason: 'host-not-allowed' });
+  });
+});
+
+describe('redirects', () => {
+  const TEST_HOST = 'https://example.com';
+  const TEST_URL = `${TEST_HOST}/old.png`;
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should report the final URL and redirect chain', async () => {
+    nock(TEST_HOST).head('/old.png').reply(301, '', { location: '/new.png' });
+    nock(TEST_HOST).head('/new.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/new.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const result = (await encode([TEST_URL])).get(TEST_URL);
+
+    expect(result.error).toBeNull();
+    expect(result.url).toBe(`${TEST_HOST}/new.png`);
+    expect(result.redirects).toEqual([TEST_URL]);
+  });
+
+  it('should download from where the HEAD request ended up', async () => {
+    nock(TEST_HOST).head('/old.png').reply(302, '', { location: '/a.png' });
+    nock(TEST_HOST).head('/a.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/a.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+    const old = nock(TEST_HOST).get('/old.png').reply(302, '', { location: '/b.png' });
+
+    const result = (await encode([TEST_URL])).get(TEST_URL);
+
+    expect(result.url).toBe(`${TEST_HOST}/a.png`);
+    expect(old.isDone()).toBe(false);
+  });
+
+  it('should apply maxRedirects and the downgrade policy', async () => {
+    nock(TEST_HOST).head('/old.png').reply(302, '', { location: '/new.png' });
+    await expect(encodeSingle(TEST_URL, { maxRedirects: 0 })).rejects.toThrow(
+      'Too many redirects'
+    );
+
+    nock(TEST_HOST)
+      .head('/old.png')
+      .reply(302, '', { location: 'http://example.com/new.png' });
+    await expect(encodeSingle(TEST_URL)).rejects.toThrow('Redirect downgrade blocked');
+  });
+
+  it('should report no URL for local files', async () => {
+    const result = (await encode([testImagePath])).get(testImagePath);
+
+    expect(result.url).toBeNull();
+    expect(result.redirects).toEqual([]);
+  });
+});
+
+describe('request headers', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should send headers, auth and cookies on HEAD and GET', async () => {
+    const options = {
+      userAgent: 'site-build/2.0',
+      headers: { 'X-Team': 'web' },
+      auth: { token: 'secret' },
+      cookies: { session: 'abc' },
+    };
+    const expectHeaders = (scope) =>
+      scope
+        .matchHeader('user-agent', 'site-build/2.0')
+        .matchHeader('x-team', 'web')
+        .matchHeader('authorization', 'Bearer secret')
+        .matchHeader('cookie', 'session=abc');
+
+    expectHeaders(nock(TEST_HOST))
+      .head('/private.png')
+      .reply(200, '', { 'content-type': 'image/png' });
+    expectHeaders(nock(TEST_HOST))
+      .get('/private.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const result = await encodeSingle(`${TEST_HOST}/private.png`, options);
+    expect(result).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should not send credentials to another host after a redirect', async () => {
+    nock(TEST_HOST)
+      .head('/private.png')
+      .matchHeader('authorization', 'Bearer secret')
+      .reply(302, '', { location: 'https://other.test/image.png' });
+
+    const received = [];
+    nock('https://other.test')
+      .head('/image.png')
+      .reply(function () {
+        received.push(this.req.headers);
+        return [200, '', { 'content-type': 'image/png' }];
+      });
+    nock('https://other.test')
+      .get('/image.png')
+      .reply(function () {
+        received.push(this.req.headers);
+        return [200, testPngBuffer, { 'content-type': 'image/png' }];
+      });
+
+    const options = { headers: { 'x-team': 'web' }, auth: { token: 'secret' } };
+    const result = (await encode([`${TEST_HOST}/private.png`], options)).get(
+      `${TEST_HOST}/private.png`
+    );
+
+    expect(result.error).toBeNull();
+    expect(result.url).toBe('https://other.test/image.png');
+    expect(received).toHaveLength(2);
+    for (const headers of received) {
+      expect(headers['x-team']).toBe('web');
+      expect(headers.authorization).toBeUndefined();
+    }
+  });
+});
+
+describe('probe strategy', () => {
+  const TEST_HOST = 'https://example.com';
+  const TEST_URL = `${TEST_HOST}/signed.png`;
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should fall back to GET when HEAD is rejected', async () => {
+    nock(TEST_HOST).head('/signed.png').reply(403);
+    nock(TEST_HOST)
+      .get('/signed.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const result = await encodeSingle(TEST_URL);
+    expect(result).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should not fall back for missing resources', async () => {
+    nock(TEST_HOST).head('/signed.png').reply(404);
+    const get = nock(TEST_HOST).get('/signed.png').reply(200, testPngBuffer);
+
+    await expect(encodeSingle(TEST_URL)).rejects.toThrow('HTTP 404');
+    expect(get.isDone()).toBe(false);
+  });
+
+  it('should fail on a rejected HEAD with probe head', async () => {
+    nock(TEST_HOST).head('/signed.png').reply(405);
+
+    await expect(encodeSingle(TEST_URL, { probe: 'head' })).rejects.toThrow('HTTP 405');
+  });
+
+  it('should skip HEAD with probe get', async () => {
+    nock(TEST_HOST).get('/signed.png').reply(302, '', { location: '/final.png' });
+    nock(TEST_HOST)
+      .get('/final.png')
+      .reply(200, testPngBuffer, { 'content-type': 'application/octet-stream' });
+
+    const result = (await encode([TEST_URL], { probe: 'get' })).get(TEST_URL);
+
+    expect(result.data).toMatch(/^data:image\/png;base64,/);
+    expect(result.url).toBe(`${TEST_HOST}/final.png`);
+    expect(result.redirects).toEqual([TEST_URL]);
+  });
+
+  it('should reject non-image GET responses from their first bytes', async () => {
+    const page = Buffer.from(`<!DOCTYPE html><html>${'x'.repeat(10000)}</html>`);
+    nock(TEST_HOST).get('/signed.png').reply(200, page, { 'content-type': 'image/png' });
+
+    await expect(encodeSingle(TEST_URL, { probe: 'get' })).rejects.toThrow(
+      'Not an image. Content-Type: image/png'
+    );
+  });
+
+  it('should reject GET responses without an image type or signature', async () => {
+    nock(TEST_HOST)
+      .get('/signed.png')
+      .reply(200, 'plain text', { 'content-type': 'text/plain' });
+
+    await expect(encodeSingle(TEST_URL, { probe: 'get' })).rejects.toThrow(
+      'Not an image'
+    );
+  });
+
+  it('should enforce Content-Length limits without HEAD', async () => {
+    nock(TEST_HOST)
+      .get('/signed.png')
+      .reply(200, Buffer.alloc(2000), { 'content-length': '2000' });
+
+    await expect(
+      encodeSingle(TEST_URL, { probe: 'get', sizeLimit: 1000 })
+    ).rejects.toThrow('Size limit exceeded: 2000 > 1000 bytes');
+  });
+
+  it('should revalidate cached entries with a conditional GET', async () => {
+    const cache = createCache();
+    nock(TEST_HOST)
+      .get('/signed.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png', etag: '"v1"' });
+    const first = await encodeSingle(TEST_URL, { cache, probe: 'get' });
+
+    nock(TEST_HOST).get('/signed.png').matchHeader('if-none-match', '"v1"').reply(304);
+
+    expect(await encodeSingle(TEST_URL, { cache, probe: 'get' })).toBe(first);
+    expect(cache.stats().hits).toBe(1);
+  });
+
+  it('should apply the probe strategy to encodeStream', async () => {
+    nock(TEST_HOST).head('/signed.png').reply(405);
+    nock(TEST_HOST)
+      .get('/signed.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const output = await text(encodeStream(TEST_URL));
+    expect(output).toBe(`data:image/png;base64,${testPngBuffer.toString('base64')}`);
+  });
+
+  it('should reject non-image streams when HEAD is skipped', async () => {
+    nock(TEST_HOST).get('/signed.png').reply(200, '<html></html>', {
+      'content-type': 'text/html',
+    });
+
+    await expect(text(encodeStream(TEST_URL, { probe: 'get' }))).rejects.toThrow(
+      'Not an image'
+    );
+  });
+
+  it('should check streamed GET bodies after a successful HEAD', async () => {
+    const page = '<!DOCTYPE html><html><body>Sign in</body></html>';
+    for (const probe of ['head', 'auto']) {
+      nock(TEST_HOST).head('/signed.png').reply(200, '', { 'content-type': 'image/png' });
+      nock(TEST_HOST)
+        .get('/signed.png')
+        .reply(200, page, { 'content-type': 'text/html' });
+
+      await expect(text(encodeStream(TEST_URL, { probe }))).rejects.toThrow(
+        UnsupportedTypeError
+      );
+    }
+  });
+
+  it('should reject unknown probe strategies', async () => {
+    await expect(encodeSingle(TEST_URL, { probe: 'options' })).rejects.toThrow(
+      'Expected probe to be one of: head, get, auto'
+    );
+  });
+});
+
+describe('encode - pool, progress and cancellation', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  function mockImage(path, delay = 0) {
+    nock(TEST_HOST).head(path).reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get(path)
+      .delay(delay)
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+  }
+
+  it('should report progress as each path settles', async () => {
+    const missing = join(testDir, 'missing.png');
+    const events = [];
+
+    await encode([testImagePath, missing], {
+      concurrency: 1,
+      onProgress: (event) => events.push(event),
+    });
+
+    expect(events).toEqual([
+      { completed: 1, failed: 0, total: 2, path: testImagePath },
+      { completed: 2, failed: 1, total: 2, path: missing },
+    ]);
+  });
+
+  it('should not wait for a slow path before starting the next', async () => {
+    mockImage('/slow.png', 200);
+    mockImage('/a.png');
+    mockImage('/b.png');
+    const order = [];
+
+    const results = await encode(
+      [`${TEST_HOST}/slow.png`, `${TEST_HOST}/a.png`, `${TEST_HOST}/b.png`],
+      { concurrency: 2, onProgress: ({ path }) => order.push(path) }
+    );
+
+    expect(order).toEqual([
+      `${TEST_HOST}/a.png`,
+      `${TEST_HOST}/b.png`,
+      `${TEST_HOST}/slow.png`,
+    ]);
+    expect([...results.keys()]).toEqual([
+      `${TEST_HOST}/slow.png`,
+      `${TEST_HOST}/a.png`,
+      `${TEST_HOST}/b.png`,
+    ]);
+  });
+
+  it('should cancel in-flight fetches when the signal aborts', async () => {
+    mockImage('/slow.png', 5000);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    await expect(
+      encode([`${TEST_HOST}/slow.png`], { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  it('should not retry after cancellation', async () => {
+    nock(TEST_HOST).head('/flaky.png').reply(503);
+    const controller = new AbortController();
+    const retry = { retries: 5, minDelay: 5000, jitter: false };
+    setTimeout(() => controller.abort(new Error('stopped')), 50);
+
+    await expect(
+      encode([`${TEST_HOST}/flaky.png`], { retry, signal: controller.signal })
+    ).rejects.toThrow('stopped');
+  });
+
+  it('should reject immediately with an aborted signal', async () => {
+    await expect(
+      encode([testImagePath], { signal: AbortSignal.abort() })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should cancel local file reads', async () => {
+    const controller = new AbortController();
+    const stream = encodeStream(testImagePath, { signal: controller.signal });
+    controller.abort();
+
+    await expect(text(stream)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('encodeIterable', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  async function collect(iterable) {
+    const results = [];
+    for await (const result of iterable) results.push(result);
+    return results;
+  }
+
+  it('should yield results for an async iterable of paths', async () => {
+    const missing = join(testDir, 'missing.png');
+    async function* paths() {
+      yield testImagePath;
+      yield missing;
+    }
+
+    const results = await collect(encodeIterable(paths(), { concurrency: 1 }));
+
+    expect(results).toHaveLength(2);
+    expect(results[0]).toMatchObject({ path: testImagePath, error: null });
+    expect(results[0].data).toMatch(/^data:image\/png;base64,/);
+    expect(results[1].path).toBe(missing);
+    expect(results[1].data).toBeNull();
+    expect(results[1].error.message).toMatch('File not found');
+  });
+
+  it('should yield in completion order', async () => {
+    nock(TEST_HOST).head('/slow.png').reply(200, '', { 'content-type': 'image/png' });
+    nock(TEST_HOST)
+      .get('/slow.png')
+      .delay(200)
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const results = await collect(
+      encodeIterable(new Set([`${TEST_HOST}/slow.png`, testImagePath]))
+    );
+
+    expect(results.map(({ path }) => path)).toEqual([
+      testImagePath,
+      `${TEST_HOST}/slow.png`,
+    ]);
+  });
+
+  it('should accept a single path string', async () => {
+    const results = await collect(encodeIterable(testImagePath));
+    expect(results.map(({ path }) => path)).toEqual([testImagePath]);
+  });
+
+  it('should reject when the signal aborts', async () => {
+    await expect(
+      collect(encodeIterable([testImagePath], { signal: AbortSignal.abort() }))
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('detailed results', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should describe a local image', async () => {
+    const result = await encodeSingle(testImagePath, { detailed: true });
+
+    expect(result).toEqual({
+      dataUri: `data:image/png;base64,${testPngBuffer.toString('base64')}`,
+      mimeType: 'image/png',
+      encoding: 'base64',
+      size: testPngBuffer.length,
+      width: 1,
+      height: 1,
+      source: 'local',
+    });
+  });
+
+  it('should describe a remote SVG', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 16"></svg>';
+    nock(TEST_HOST).head('/icon.svg').reply(200, '', { 'content-type': 'image/svg+xml' });
+    nock(TEST_HOST).get('/icon.svg').reply(200, svg, { 'content-type': 'image/svg+xml' });
+
+    const result = await encodeSingle(`${TEST_HOST}/icon.svg`, {
+      detailed: true,
+      encoding: 'auto',
+    });
+
+    expect(result).toMatchObject({
+      mimeType: 'image/svg+xml',
+      encoding: 'percent',
+      size: svg.length,
+      width: 32,
+      height: 16,
+      source: 'remote',
+    });
+  });
+
+  it('should add details to batch results', async () => {
+    const missing = join(testDir, 'missing.png');
+    const results = await encode([testImagePath, missing], { detailed: true });
+
+    expect(results.get(testImagePath)).toMatchObject({
+      error: null,
+      mimeType: 'image/png',
+      width: 1,
+      height: 1,
+      source: 'local',
+    });
+    expect(results.get(missing)).toMatchObject({
+      data: null,
+      mimeType: null,
+      size: null,
+      width: null,
+      height: null,
+      source: 'local',
+    });
+  });
+
+  it('should leave batch results unchanged without detailed', async () => {
+    const result = (await encode([testImagePath])).get(testImagePath);
+    expect(result).not.toHaveProperty('width');
+  });
+});
+
+describe('source resolvers', () => {
+  const pngDataUri = `data:image/png;base64,${testPngBuffer.toString('base64')}`;
+
+  function assetResolver(files, calls = []) {
+    return {
+      async stat(url) {
+        calls.push(['stat', url.href]);
+        const file = files[url.host];
+        if (!file) throw new Error(`Asset not found: ${url.href}`);
+        return { size: file.length, version: file.version ?? 1 };
+      },
+      async read(url) {
+        calls.push(['read', url.href]);
+        return Readable.from([
+          files[url.host].subarray(0, 10),
+          files[url.host].subarray(10),
+        ]);
+      },
+    };
+  }
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should encode file:// URLs as local files', async () => {
+    const result = await encodeSingle(pathToFileURL(testImagePath).href, {
+      detailed: true,
+    });
+    expect(result).toMatchObject({ dataUri: pngDataUri, source: 'local' });
+  });
+
+  it('should pass data URIs through unchanged', async () => {
+    const svg = 'data:image/svg+xml,%3Csvg%20width=%2210%22%20height=%225%22/%3E';
+
+    expect(await encodeSingle(pngDataUri)).toBe(pngDataUri);
+    expect(await encodeSingle(svg, { detailed: true })).toEqual({
+      dataUri: svg,
+      encoding: 'percent',
+      mimeType: 'image/svg+xml',
+      size: 28,
+      width: 10,
+      height: 5,
+      source: 'data',
+    });
+    await expect(encodeSingle(pngDataUri, { sizeLimit: 10 })).rejects.toThrow(
+      'Size limit exceeded'
+    );
+  });
+
+  it('should encode custom schemes through their resolver', async () => {
+    const resolvers = { asset: assetResolver({ 'logo.png': testPngBuffer }) };
+
+    const result = await encodeSingle('asset://logo.png', { resolvers, detailed: true });
+
+    expect(result).toMatchObject({
+      dataUri: pngDataUri,
+      mimeType: 'image/png',
+      width: 1,
+      height: 1,
+      source: 'asset',
+    });
+  });
+
+  it('should detect the type from content when the resolver gives none', async () => {
+    const resolvers = { blob: { read: async () => new Uint8Array(testPngBuffer) } };
+    expect(await encodeSingle('blob:0001', { resolvers })).toBe(pngDataUri);
+  });
+
+  it('should apply size limits to stat and read results', async () => {
+    const calls = [];
+    const resolvers = { asset: assetResolver({ 'logo.png': testPngBuffer }, calls) };
+
+    await expect(
+      encodeSingle('asset://logo.png', { resolvers, sizeLimit: 10 })
+    ).rejects.toThrow('Size limit exceeded');
+    expect(calls).toEqual([['stat', 'asset://logo.png']]);
+
+    const unsized = { asset: { read: async () => Readable.from([testPngBuffer]) } };
+    await expect(
+      encodeSingle('asset://logo.png', { resolvers: unsized, sizeLimit: 10 })
+    ).rejects.toThrow('Size limit exceeded');
+  });
+
+  it('should reuse cached entries while the version matches', async () => {
+    const calls = [];
+    const files = { 'logo.png': testPngBuffer };
+    const resolvers = { asset: assetResolver(files, calls) };
+    const cache = createCache();
+
+    await encodeSingle('asset://logo.png', { resolvers, cache });
+    await encodeSingle('asset://logo.png', { resolvers, cache });
+    expect(calls.filter(([call]) => call === 'read')).toHaveLength(1);
+
+    files['logo.png'] = Object.assign(Buffer.from(testPngBuffer), { version: 2 });
+    await encodeSingle('asset://logo.png', { resolvers, cache });
+    expect(calls.filter(([call]) => call === 'read')).toHaveLength(2);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  it('should retry transient resolver errors', async () => {
+    let attempts = 0;
+    const resolvers = {
+      asset: {
+        async read() {
+          if (++attempts === 1) {
+            throw Object.assign(new Error('Store unavailable'), { status: 503 });
+          }
+          return testPngBuffer;
+        },
+      },
+    };
+
+    const results = await encode(['asset://logo.png'], {
+      resolvers,
+      retry: { retries: 1, minDelay: 1 },
+    });
+    expect(results.get('asset://logo.png')).toMatchObject({
+      data: pngDataUri,
+      attempts: 2,
+    });
+  });
+
+  it('should read from an S3-compatible endpoint', async () => {
+    nock('http://127.0.0.1:9000')
+      .get('/images/logo.png')
+      .reply(200, testPngBuffer, { 'content-type': 'image/png' });
+
+    const resolvers = {
+      s3: {
+        async read(url, { signal }) {
+          const response = await fetch(
+            `http://127.0.0.1:9000/${url.host}${url.pathname}`,
+            { signal }
+          );
+          if (!response.ok) {
+            throw Object.assign(new Error(`S3 error ${response.status}`), {
+              status: response.status,
+            });
+          }
+          return response.body;
+        },
+      },
+    };
+
+    expect(await encodeSingle('s3://images/logo.png', { resolvers })).toBe(pngDataUri);
+  });
+
+  it('should report resolver errors per path', async () => {
+    const resolvers = { asset: assetResolver({}) };
+    const results = await encode(['asset://missing.png', testImagePath], {
+      resolvers,
+      detailed: true,
+    });
+
+    expect(results.get('asset://missing.png')).toMatchObject({
+      data: null,
+      source: 'asset',
+    });
+    expect(results.get('asset://missing.png').error.message).toBe(
+      'Asset not found: asset://missing.png'
+    );
+    expect(results.get(testImagePath).error).toBeNull();
+  });
+
+  it('should reject invalid resolvers', async () => {
+    await expect(encode([testImagePath], { resolvers: { asset: {} } })).rejects.toThrow(
+      TypeError
+    );
+  });
+
+  it('should stream custom and data sources', async () => {
+    const resolvers = { asset: assetResolver({ 'logo.png': testPngBuffer }) };
+
+    expect(await text(encodeStream('asset://logo.png', { resolvers }))).toBe(pngDataUri);
+    expect(await text(encodeStream(pngDataUri))).toBe(pngDataUri);
+  });
+
+  it('should inline references with registered schemes', async () => {
+    const resolvers = { asset: assetResolver({ 'logo.png': testPngBuffer }) };
+    const css =
+      '.a { background: url(asset://logo.png); } .b { background: url(ftp://x/y.png); }';
+
+    const result = await inlineCss(css, { resolvers });
+
+    expect(result.css).toContain(`url(${pngDataUri})`);
+    expect(result.references.map(({ status, reason }) => [status, reason])).toEqual([
+      ['inlined', null],
+      ['skipped', 'unsupported-scheme'],
+    ]);
+  });
+});
+
+describe('path policy', () => {
+  let siteDir;
+  let sharedDir;
+
+  beforeAll(async () => {
+    siteDir = join(testDir, 'repo', 'site');
+    sharedDir = join(testDir, 'repo', 'shared');
+    await mkdir(siteDir, { recursive: true });
+    await mkdir(sharedDir, { recursive: true });
+    await writeFile(join(sharedDir, 'logo.png'), testPngBuffer);
+    await symlink(testImagePath, join(siteDir, 'linked.png'));
+  });
+
+  it('should resolve relative paths against baseDir', async () => {
+    const result = await encodeSingle('../shared/logo.png', {
+      baseDir: siteDir,
+      roots: [siteDir, sharedDir],
+    });
+    expect(result).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should reject files outside the roots', async () => {
+    const results = await encode([testImagePath, join(sharedDir, 'logo.png')], {
+      roots: sharedDir,
+    });
+
+    expect(results.get(testImagePath).error.message).toContain(
+      'is outside the allowed roots'
+    );
+    expect(results.get(join(sharedDir, 'logo.png')).error).toBeNull();
+  });
+
+  it('should apply the symlink policy to the real path', async () => {
+    const linked = join(siteDir, 'linked.png');
+
+    await expect(encodeSingle(linked, { roots: siteDir })).rejects.toThrow(
+      'links outside the allowed roots'
+    );
+    await expect(encodeSingle(linked, { symlinks: 'deny' })).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+    expect(await encodeSingle(linked, { roots: siteDir, symlinks: 'follow' })).toMatch(
+      /^data:image\/png;base64,/
+    );
+  });
+
+  it('should apply the path policy to streams', async () => {
+    await expect(text(encodeStream(testImagePath, { roots: sharedDir }))).rejects.toThrow(
+      'is outside the allowed roots'
+    );
+  });
+});
+
+describe('encodeBuffer', () => {
+  const pngDataUri = `data:image/png;base64,${testPngBuffer.toString('base64')}`;
+
+  it('should encode Buffers, Uint8Arrays and ArrayBuffers', async () => {
+    const bytes = new Uint8Array(testPngBuffer);
+
+    expect(await encodeBuffer(testPngBuffer)).toBe(pngDataUri);
+    expect(await encodeBuffer(bytes)).toBe(pngDataUri);
+    expect(await encodeBuffer(bytes.buffer)).toBe(pngDataUri);
+  });
+
+  it('should encode Blobs and Files with their type and name', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="4" height="2"/>';
+
+    expect(await encodeBuffer(new Blob([testPngBuffer]))).toBe(pngDataUri);
+    expect(
+      await encodeBuffer(new Blob([svg], { type: 'image/svg+xml' }), { detailed: true })
+    ).toMatchObject({ mimeType: 'image/svg+xml', width: 4, height: 2, source: 'buffer' });
+    expect(await encodeBuffer(new File([svg], 'icon.svg'))).toMatch(
+      /^data:image\/svg\+xml;base64,/
+    );
+  });
+
+  it('should encode Readable streams', async () => {
+    const stream = Readable.from([
+      testPngBuffer.subarray(0, 8),
+      testPngBuffer.subarray(8),
+    ]);
+    expect(await encodeBuffer(stream)).toBe(pngDataUri);
+  });
+
+  it('should infer the type from the filename or take it as given', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+    expect(await encodeBuffer(Buffer.from('plain'), { filename: 'notes.txt' })).toBe(
+      'data:text/plain;base64,cGxhaW4='
+    );
+    expect(await encodeBuffer(svg, { mimeType: 'image/svg+xml' })).toMatch(
+      /^data:image\/svg\+xml;base64,/
+    );
+    await expect(encodeBuffer(Buffer.from('plain'))).rejects.toThrow(
+      'Unable to determine MIME type for: buffer'
+    );
+  });
+
+  it('should validate content like file paths', async () => {
+    await expect(
+      encodeBuffer(testPngBuffer, { filename: 'photo.jpg', strictMime: true })
+    ).rejects.toThrow('MIME type mismatch: declared image/jpeg, detected image/png');
+  });
+
+  it('should apply size limits', async () => {
+    await expect(encodeBuffer(testPngBuffer, { sizeLimit: 10 })).rejects.toThrow(
+      'Size limit exceeded'
+    );
+    await expect(
+      encodeBuffer(new Blob([testPngBuffer]), { sizeLimit: 10 })
+    ).rejects.toThrow('Size limit exceeded');
+
+    // An endless stream is abandoned as soon as it crosses the limit
+    const endless = Readable.from(
+      (function* () {
+        while (true) yield testPngBuffer;
+      })()
+    );
+    await expect(encodeBuffer(endless, { sizeLimit: 1000 })).rejects.toThrow(
+      'Size limit exceeded'
+    );
+    expect(endless.destroyed).toBe(true);
+
+    expect(await encodeBuffer(testPngBuffer, { sizeLimit: 10, force: true })).toBe(
+      pngDataUri
+    );
+  });
+
+  it('should reject unsupported input', async () => {
+    await expect(encodeBuffer('image.png')).rejects.toThrow(TypeError);
+    await expect(encodeBuffer(null)).rejects.toThrow(
+      'Expected input to be a Buffer, Uint8Array, ArrayBuffer, Blob or Readable stream'
+    );
+  });
+});
+
+describe('typed errors', () => {
+  const TEST_HOST = 'https://example.com';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  async function errorFor(path, options) {
+    const results = await encode([path], options);
+    return results.get(path).error;
+  }
+
+  it('should report missing files as NotFoundError', async () => {
+    const missing = join(testDir, 'missing.png');
+    const error = await errorFor(missing);
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toMatchObject({ code: 'ERR_NOT_FOUND', path: missing });
+  });
+
+  it('should report directories that are not expanded as ImguriError', async () => {
+    const error = await errorFor(testDir, { expand: false });
+
+    expect(error).toBeInstanceOf(ImguriError);
+    expect(error).toMatchObject({ code: 'ERR_NOT_A_FILE', path: testDir });
+    await expect(encodeSingle(testDir)).rejects.toThrow(`Not a file: ${testDir}`);
+  });
+
+  it('should report the size and limit on SizeLimitError', async () => {
+    const error = await errorFor(testImagePath, { sizeLimit: 10 });
+
+    expect(error).toBeInstanceOf(SizeLimitError);
+    expect(error).toMatchObject({
+      code: 'ERR_SIZE_LIMIT',
+      actual: testPngBuffer.length,
+      limit: 10,
+      path: testImagePath,
+    });
+  });
+
+  it('should report rejected paths as PathSecurityError', async () => {
+    const error = await errorFor('../etc/passwd');
+
+    expect(error).toBeInstanceOf(PathSecurityError);
+    expect(error).toMatchObject({
+      code: 'ERR_PATH_SECURITY',
+      reason: 'traversal',
+      path: '../etc/passwd',
+    });
+  });
+
+  it('should report unusable content as UnsupportedTypeError', async () => {
+    const file = join(testDir, 'disguised.jpg');
+    await writeFile(file, testPngBuffer);
+
+    const error = await errorFor(file, { strictMime: true });
+    expect(error).toBeInstanceOf(UnsupportedTypeError);
+    expect(error).toMatchObject({ code: 'ERR_UNSUPPORTED_TYPE', mimeType: 'image/png' });
+  });
+
+  it('should report HTTP failures as HttpError with the input path', async () => {
+    const url = `${TEST_HOST}/gone.png`;
+    nock(TEST_HOST).head('/gone.png').reply(410);
+
+    const error = await errorFor(url);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ code: 'ERR_HTTP', status: 410, url, path: url });
+  });
+
+  it('should report timeouts as TimeoutError', async () => {
+    const url = `${TEST_HOST}/slow.png`;
+    nock(TEST_HOST).head('/slow.png').delay(300).reply(200);
+
+    const error = await errorFor(url, { timeout: 50 });
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toMatchObject({ code: 'ERR_TIMEOUT', timeout: 50, path: url });
+  }, 1000);
+
+  it('should give other failures a code', async () => {
+    const url = `${TEST_HOST}/loop.png`;
+    nock(TEST_HOST).head('/loop.png').reply(302, '', { location: url });
+
+    const error = await errorFor(url, { maxRedirects: 0 });
+    expect(error).toBeInstanceOf(ImguriError);
+    expect(error.code).toBe('ERR_TOO_MANY_REDIRECTS');
+
+    const invalid = await errorFor('data:image/png;base64,*');
+    expect(invalid.code).toBe('ERR_INVALID_DATA_URI');
+  });
+
+  it('should set the path on stream errors', async () => {
+    const missing = join(testDir, 'missing.png');
+    await expect(text(encodeStream(missing))).rejects.toMatchObject({
+      code: 'ERR_NOT_FOUND',
+      path: missing,
+    });
+  });
+
+  it('should keep NetworkPolicyError in the hierarchy', () => {
+    expect(
+      new NetworkPolicyError('Blocked', { url: 'u', reason: 'denied-host' })
+    ).toBeInstanceOf(ImguriError);
+  });
+});
+
+describe('output generators', () => {
+  it('should turn encode() results into CSS, modules and manifests', async () => {
+    const missing = join(testDir, 'missing.png');
+    const results = await encode([testImagePath, missing]);
+    const dataUri = results.get(testImagePath).data;
+
+    expect(generateCss(results, { onError: 'skip', name: 'icon-[name]' })).toBe(
+      `:root {\n  --icon-test: url("${dataUri}");\n}\n`
+    );
+    expect(generateModule(results, { onError: 'skip' }).types).toBe(
+      'export declare const test: string;\n'
+    );
+
+    const manifest = JSON.parse(generateJson(results, { onError: 'placeholder' }));
+    expect(manifest[testImagePath]).toMatchObject({ mimeType: 'image/png', size: 69 });
+    expect(manifest[missing].error.code).toBe('ERR_NOT_FOUND');
+
+    expect(() => generateCss(results)).toThrow(NotFoundError);
+  });
+});
+
+describe('directory and glob inputs', () => {
+  let iconsDir;
+
+  beforeAll(async () => {
+    iconsDir = join(testDir, 'glob-icons');
+    await mkdir(join(iconsDir, 'nested'), { recursive: true });
+    await writeFile(join(iconsDir, 'a.png'), testPngBuffer);
+    await writeFile(join(iconsDir, 'nested', 'b.png'), testPngBuffer);
+    await writeFile(join(iconsDir, 'readme.md'), '# icons');
+  });
+
+  it('should encode every image in a directory, keyed by file path', async () => {
+    const results = await encode(iconsDir);
+
+    expect([...results.keys()]).toEqual([
+      join(iconsDir, 'a.png'),
+      join(iconsDir, 'nested', 'b.png'),
+    ]);
+    for (const result of results.values()) {
+      expect(result.data).toMatch(/^data:image\/png;base64,/);
+      expect(result.pattern).toBe(iconsDir);
+    }
+  });
+
+  it('should expand glob patterns and record them', async () => {
+    const pattern = `${iconsDir}/**/b.png`;
+    const results = await encode([pattern, testImagePath]);
+
+    expect(results.get(join(iconsDir, 'nested', 'b.png')).pattern).toBe(pattern);
+    expect(results.get(testImagePath).pattern).toBeNull();
+  });
+
+  it('should encode a file matched twice once', async () => {
+    const events = [];
+    const results = await encode([join(iconsDir, 'a.png'), `${iconsDir}/*.png`], {
+      onProgress: (event) => events.push(event),
+    });
+
+    expect(results.size).toBe(1);
+    expect(results.get(join(iconsDir, 'a.png')).pattern).toBeNull();
+    expect(events.map(({ total }) => total)).toEqual([1]);
+  });
+
+  it('should encode a file once across relative, dotted and glob spellings', async () => {
+    const results = await encode(
+      ['glob-icons/a.png', './glob-icons/a.png', 'glob-icons/*.png'],
+      {
+        baseDir: testDir,
+      }
+    );
+
+    expect([...results.keys()]).toEqual(['glob-icons/a.png']);
+    expect(results.get('glob-icons/a.png').data).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should report patterns outside the roots as failed inputs', async () => {
+    const results = await encode([`${iconsDir}/*.png`], { roots: [join(testDir, 'x')] });
+    const { error } = results.get(`${iconsDir}/*.png`);
+
+    expect(error).toBeInstanceOf(PathSecurityError);
+    expect(error.reason).toBe('outside-roots');
+  });
+
+  it('should expand inputs of encodeIterable', async () => {
+    const paths = [];
+    for await (const { path, pattern } of encodeIterable(`${iconsDir}/**/*.png`)) {
+      paths.push(path);
+      expect(pattern).toBe(`${iconsDir}/**/*.png`);
+    }
+    expect(paths.sort()).toEqual([
+      join(iconsDir, 'a.png'),
+      join(iconsDir, 'nested', 'b.png'),
+    ]);
+  });
+
+  it('should encode files whose names contain glob characters', async () => {
+    const bracketed = join(iconsDir, 'logo[1].png');
+    await writeFile(bracketed, testPngBuffer);
+
+    const results = await encode([bracketed]);
+    expect(results.get(bracketed)).toMatchObject({ error: null, pattern: null });
+    await rm(bracketed);
+  });
+
+  it('should leave directories alone when expand is false', async () => {
+    const results = await encode(iconsDir, { expand: false });
+    expect(results.get(iconsDir).error).toBeInstanceOf(Error);
+  });
+});
+
+describe('watch', () => {
+  it('should keep generated CSS up to date', async () => {
+    const iconsDir = join(testDir, 'watch-icons');
+    await mkdir(iconsDir);
+    await writeFile(join(iconsDir, 'a.png'), testPngBuffer);
+
+    const watcher = watch(iconsDir, { debounce: 20 });
+    try {
+      const ready = await new Promise((resolve) => watcher.once('ready', resolve));
+      expect(generateCss(ready)).toContain('--a: url("data:image/png;base64,');
+
+      const added = new Promise((resolve) => watcher.once('added', resolve));
+      const update = new Promise((resolve) => watcher.once('update', resolve));
+      await writeFile(join(iconsDir, 'b.png'), testPngBuffer);
+
+      expect(await added).toMatchObject({
+        path: join(iconsDir, 'b.png'),
+        pattern: iconsDir,
+        mimeType: 'image/png',
+        width: 1,
+        height: 1,
+        source: 'local',
+      });
+      expect(generateCss(await update)).toContain('--b: url("data:image/png;base64,');
+    } finally {
+      await watcher.close();
+    }
+  });
+});
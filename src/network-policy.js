@@ -0,0 +1,129 @@
+import { lookup as dnsLookup } from 'dns/promises';
+import { isIP } from 'net';
+import { isPrivateAddress, matchesHost, normalizeHostname } from './core/network.js';
+import { ImguriError, NetworkPolicyError } from './errors.js';
+
+async function resolveAddresses(hostname) {
+  const addresses = await dnsLookup(hostname, { all: true, verbatim: true });
+  return addresses.map(({ address }) => address);
+}
+
+function blockedAddress(hostname, address, url = null) {
+  return new NetworkPolicyError(
+    `Blocked by network policy: ${hostname} resolves to ${address}${url ? `: ${url}` : ''}`,
+    { url, reason: 'private-address' }
+  );
+}
+
+// A failed lookup is reported like any other connection failure, so it can be retried
+function lookupError(error, hostname, url) {
+  const wrapped = new ImguriError(`DNS lookup failed for ${hostname}: ${error.message}`, {
+    code: 'ERR_NETWORK',
+    url,
+    cause: error,
+  });
+  wrapped.transient = true;
+  return wrapped;
+}
+
+export function createUrlCheck(policy) {
+  if (!policy) {
+    return undefined;
+  }
+
+  const {
+    allowHosts = null,
+    denyHosts = [],
+    allowHttp = true,
+    allowPrivate = false,
+    lookup = resolveAddresses,
+  } = policy;
+
+  // `resolve: false` checks the host rules without DNS, for cached entries in offline mode
+  return async function checkUrl(url, { resolve = true } = {}) {
+    const { protocol, hostname: rawHostname } = new URL(url);
+    const hostname = normalizeHostname(rawHostname);
+
+    const block = (reason, detail) => {
+      throw new NetworkPolicyError(`Blocked by network policy: ${detail}: ${url}`, {
+        url,
+        reason,
+      });
+    };
+
+    if (
+      protocol === 'http:' &&
+      allowHttp !== true &&
+      !(Array.isArray(allowHttp) && matchesHost(allowHttp, hostname))
+    ) {
+      block('insecure-protocol', `plain http is not allowed for ${hostname}`);
+    }
+
+    if (matchesHost(denyHosts, hostname)) {
+      block('denied-host', `${hostname} is denied`);
+    }
+
+    if (allowHosts && !matchesHost(allowHosts, hostname)) {
+      block('host-not-allowed', `${hostname} is not allowed`);
+    }
+
+    if (!allowPrivate && (resolve || isIP(hostname))) {
+      // Every resolved address is checked, since the connection may use any of them
+      const addresses = isIP(hostname)
+        ? [hostname]
+        : await lookup(hostname).catch((error) => {
+            throw lookupError(error, hostname, url);
+          });
+      const privateAddress = addresses.find(isPrivateAddress);
+      if (privateAddress) {
+        throw blockedAddress(hostname, privateAddress, url);
+      }
+    }
+  };
+}
+
+// The socket resolves the hostname again when it connects. Without this, a host could
+// answer the check above with a public address and the connection with a private one.
+function createGuardedLookup(lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname).then((addresses) => {
+      const privateAddress = addresses.find(isPrivateAddress);
+      if (privateAddress) {
+        callback(blockedAddress(hostname, privateAddress));
+        return;
+      }
+
+      const entries = addresses.map((address) => ({ address, family: isIP(address) }));
+      if (entries.length === 0) {
+        callback(
+          Object.assign(new Error(`No addresses for ${hostname}`), { code: 'ENOTFOUND' })
+        );
+        return;
+      }
+      if (options.all) {
+        callback(null, entries);
+      } else {
+        callback(null, entries[0].address, entries[0].family);
+      }
+    }, callback);
+  };
+}
+
+// Agents are kept per policy so connections are reused across requests
+const guardedAgents = new WeakMap();
+
+export function policyDispatcher(policy) {
+  if (!policy || policy.allowPrivate) {
+    return undefined;
+  }
+
+  if (!guardedAgents.has(policy)) {
+    const lookup = createGuardedLookup(policy.lookup ?? resolveAddresses);
+    // undici is only loaded once a policy needs it
+    const agent = import('undici').then(
+      ({ Agent }) => new Agent({ connect: { lookup } })
+    );
+    guardedAgents.set(policy, agent);
+  }
+  return guardedAgents.get(policy);
+}
@@ -0,0 +1,159 @@
+/**
+ * Tests for the remote URL network policy
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { once } from 'events';
+import { createUrlCheck, policyDispatcher } from './network-policy.js';
+import { fetchBuffer } from './adapters/http-client.js';
+import { ImguriError, NetworkPolicyError } from './errors.js';
+
+const addresses = {
+  'cdn.example.com': ['93.184.216.34'],
+  'internal.example.com': ['10.0.0.5'],
+  'mixed.example.com': ['93.184.216.34', '127.0.0.1'],
+};
+const lookup = async (hostname) => addresses[hostname] ?? ['93.184.216.34'];
+
+async function reasonFor(policy, url) {
+  try {
+    await createUrlCheck({ lookup, ...policy })(url);
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(NetworkPolicyError);
+    expect(error.code).toBe('ERR_NETWORK_POLICY');
+    expect(error.url).toBe(url);
+    return error.reason;
+  }
+}
+
+describe('createUrlCheck', () => {
+  it('should return undefined without a policy', () => {
+    expect(createUrlCheck(undefined)).toBeUndefined();
+  });
+
+  it('should allow public hosts', async () => {
+    expect(await reasonFor({}, 'https://cdn.example.com/a.png')).toBeNull();
+  });
+
+  it('should block hosts resolving to private addresses', async () => {
+    expect(await reasonFor({}, 'https://internal.example.com/a.png')).toBe(
+      'private-address'
+    );
+    expect(await reasonFor({}, 'https://mixed.example.com/a.png')).toBe(
+      'private-address'
+    );
+  });
+
+  it('should block private IP literals without a lookup', async () => {
+    const failingLookup = async () => {
+      throw new Error('lookup should not be called');
+    };
+    const check = createUrlCheck({ lookup: failingLookup });
+
+    await expect(check('http://169.254.169.254/latest')).rejects.toMatchObject({
+      reason: 'private-address',
+    });
+    await expect(check('http://[::ffff:127.0.0.1]/')).rejects.toMatchObject({
+      reason: 'private-address',
+    });
+  });
+
+  it('should allow private addresses when allowPrivate is set', async () => {
+    expect(
+      await reasonFor({ allowPrivate: true }, 'https://internal.example.com/a.png')
+    ).toBeNull();
+  });
+
+  it('should apply deny lists before allow lists', async () => {
+    const policy = { allowHosts: ['*.example.com'], denyHosts: ['mixed.example.com'] };
+
+    expect(await reasonFor(policy, 'https://cdn.example.com/a.png')).toBeNull();
+    expect(await reasonFor(policy, 'https://mixed.example.com/a.png')).toBe(
+      'denied-host'
+    );
+    expect(await reasonFor(policy, 'https://other.test/a.png')).toBe('host-not-allowed');
+  });
+
+  it('should restrict plain http to named hosts', async () => {
+    const policy = { allowHttp: ['legacy.example.com'] };
+
+    expect(await reasonFor(policy, 'http://legacy.example.com/a.png')).toBeNull();
+    expect(await reasonFor(policy, 'http://cdn.example.com/a.png')).toBe(
+      'insecure-protocol'
+    );
+    expect(await reasonFor(policy, 'https://cdn.example.com/a.png')).toBeNull();
+    expect(await reasonFor({ allowHttp: false }, 'http://cdn.example.com/a.png')).toBe(
+      'insecure-protocol'
+    );
+  });
+
+  it('should report failed lookups as transient network errors', async () => {
+    const failure = Object.assign(new Error('getaddrinfo ENOTFOUND missing.test'), {
+      code: 'ENOTFOUND',
+    });
+    const checkUrl = createUrlCheck({
+      lookup: async () => {
+        throw failure;
+      },
+    });
+
+    const error = await checkUrl('https://missing.test/a.png').catch((caught) => caught);
+    expect(error).toBeInstanceOf(ImguriError);
+    expect(error).toMatchObject({
+      code: 'ERR_NETWORK',
+      url: 'https://missing.test/a.png',
+      transient: true,
+      cause: failure,
+    });
+  });
+});
+
+describe('policyDispatcher', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => res.end('internal')).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  function fetchWith(policy, url) {
+    return fetchBuffer(url, 5000, {
+      checkUrl: createUrlCheck(policy),
+      dispatcherFor: () => policyDispatcher(policy),
+    });
+  }
+
+  it('should not guard connections when private addresses are allowed', () => {
+    expect(policyDispatcher(undefined)).toBeUndefined();
+    expect(policyDispatcher({ allowPrivate: true })).toBeUndefined();
+  });
+
+  it('should block a host that resolves to a private address on connect', async () => {
+    // Public for the policy check, loopback for the connection
+    const answers = [['93.184.216.34'], ['127.0.0.1']];
+    const policy = { lookup: async () => answers.shift() ?? ['127.0.0.1'] };
+    const url = `http://rebind.test:${server.address().port}/a.png`;
+
+    const error = await fetchWith(policy, url).catch((caught) => caught);
+    expect(error).toBeInstanceOf(NetworkPolicyError);
+    expect(error).toMatchObject({ reason: 'private-address', url });
+    expect(answers).toEqual([]);
+  });
+
+  it('should connect to the address that passed the check', async () => {
+    const policy = { allowPrivate: true, lookup: async () => ['127.0.0.1'] };
+    const { buffer } = await fetchBuffer(
+      `http://127.0.0.1:${server.address().port}/a.png`,
+      5000,
+      { checkUrl: createUrlCheck(policy), dispatcherFor: () => policyDispatcher(policy) }
+    );
+    expect(buffer.toString()).toBe('internal');
+  });
+});
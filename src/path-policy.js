@@ -0,0 +1,139 @@
+import { realpath } from 'fs/promises';
+import { isAbsolute, join, normalize, relative, resolve, sep } from 'path';
+import { PathSecurityError } from './errors.js';
+
+const SYMLINK_POLICIES = ['follow', 'deny', 'within-roots'];
+
+function isWithin(root, target) {
+  const path = relative(root, target);
+  return (
+    path === '' || (path !== '..' && !path.startsWith(`..${sep}`) && !isAbsolute(path))
+  );
+}
+
+function normalizeRoots(roots, baseDir) {
+  if (roots === undefined) {
+    return null;
+  }
+
+  const list = Array.isArray(roots) ? roots : [roots];
+  if (list.length === 0 || list.some((root) => typeof root !== 'string' || !root)) {
+    throw new TypeError('Expected roots to be a directory or an array of directories');
+  }
+  return list.map((root) => resolve(baseDir, root));
+}
+
+async function realRoot(root) {
+  try {
+    return await realpath(root);
+  } catch {
+    return root;
+  }
+}
+
+export function createPathCheck(options = {}) {
+  const { baseDir = process.cwd(), roots, symlinks = 'within-roots' } = options;
+
+  if (!SYMLINK_POLICIES.includes(symlinks)) {
+    throw new TypeError(`Expected symlinks to be one of: ${SYMLINK_POLICIES.join(', ')}`);
+  }
+
+  const base = resolve(baseDir);
+  const allowed = normalizeRoots(roots, base);
+
+  function checkLexical(filePath) {
+    const normalized = normalize(filePath);
+    const target = resolve(base, normalized);
+
+    if (allowed) {
+      if (!allowed.some((root) => isWithin(root, target))) {
+        throw new PathSecurityError(
+          `Invalid path: "${filePath}" is outside the allowed roots`,
+          {
+            reason: 'outside-roots',
+            path: filePath,
+          }
+        );
+      }
+      return target;
+    }
+
+    // Without roots, absolute paths are trusted and relative ones stay under baseDir
+    if (normalized.includes('..')) {
+      throw new PathSecurityError(
+        `Invalid path: path traversal detected in "${filePath}"`,
+        {
+          reason: 'traversal',
+          path: filePath,
+        }
+      );
+    }
+    if (!isAbsolute(normalized) && !isWithin(base, target)) {
+      throw new PathSecurityError(
+        `Invalid path: relative path escapes baseDir "${filePath}" -> "${target}"`,
+        { reason: 'outside-base-dir', path: filePath }
+      );
+    }
+    return target;
+  }
+
+  async function checkLinks(filePath, target) {
+    let real;
+    try {
+      real = await realpath(target);
+    } catch (error) {
+      // Missing files are reported by the caller
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (symlinks === 'within-roots' && allowed) {
+      const realRoots = await Promise.all(allowed.map(realRoot));
+      if (!realRoots.some((root) => isWithin(root, real))) {
+        throw new PathSecurityError(
+          `Invalid path: "${filePath}" links outside the allowed roots -> "${real}"`,
+          { reason: 'symlink-outside-roots', path: filePath }
+        );
+      }
+      return;
+    }
+
+    // Without roots, baseDir stands in for one, so links cannot escape it
+    if (symlinks === 'within-roots') {
+      if (!isWithin(await realRoot(base), real)) {
+        throw new PathSecurityError(
+          `Invalid path: "${filePath}" links outside baseDir -> "${real}"`,
+          { reason: 'symlink-outside-base-dir', path: filePath }
+        );
+      }
+      return;
+    }
+
+    // Links above the root or baseDir are part of how it was configured, not of the path
+    const root = allowed
+      ? allowed.find((candidate) => isWithin(candidate, target))
+      : isWithin(base, target) && base;
+    const expected = root ? join(await realRoot(root), relative(root, target)) : target;
+    if (real !== expected) {
+      throw new PathSecurityError(
+        `Invalid path: symbolic links are not allowed "${filePath}"`,
+        {
+          reason: 'symlink',
+          path: filePath,
+        }
+      );
+    }
+  }
+
+  return async function checkPath(filePath) {
+    const target = checkLexical(filePath);
+    // Absolute paths outside baseDir are trusted when no roots are set
+    if (
+      symlinks === 'deny' ||
+      (symlinks === 'within-roots' && (allowed || isWithin(base, target)))
+    ) {
+      await checkLinks(filePath, target);
+    }
+    return target;
+  };
+}
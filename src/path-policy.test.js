@@ -0,0 +1,161 @@
+/**
+ * Tests for local path policy
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, symlink, rm, realpath } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createPathCheck } from './path-policy.js';
+
+let testDir;
+let siteDir;
+let sharedDir;
+let outsideDir;
+
+beforeAll(async () => {
+  // Resolve the temp dir itself so expected paths match on systems with linked /tmp
+  testDir = await realpath(await mkdtemp(join(tmpdir(), 'imguri-paths-')));
+  siteDir = join(testDir, 'packages', 'site');
+  sharedDir = join(testDir, 'packages', 'shared');
+  outsideDir = join(testDir, 'outside');
+
+  await mkdir(join(siteDir, 'img'), { recursive: true });
+  await mkdir(sharedDir, { recursive: true });
+  await mkdir(outsideDir, { recursive: true });
+  await writeFile(join(siteDir, 'img', 'logo.png'), 'png');
+  await writeFile(join(sharedDir, 'icon.png'), 'png');
+  await writeFile(join(outsideDir, 'secret.png'), 'png');
+
+  await symlink(join(sharedDir, 'icon.png'), join(siteDir, 'shared-icon.png'));
+  await symlink(join(outsideDir, 'secret.png'), join(siteDir, 'secret.png'));
+  await symlink(join(siteDir, 'img'), join(siteDir, 'linked-img'));
+});
+
+afterAll(async () => {
+  if (testDir) {
+    await rm(testDir, { recursive: true, force: true });
+  }
+});
+
+describe('createPathCheck', () => {
+  it('should resolve relative paths against baseDir', async () => {
+    const check = createPathCheck({ baseDir: siteDir });
+    expect(await check('img/logo.png')).toBe(join(siteDir, 'img', 'logo.png'));
+  });
+
+  it('should keep rejecting traversal and trusting absolute paths without roots', async () => {
+    const check = createPathCheck({ baseDir: siteDir });
+
+    await expect(check('../shared/icon.png')).rejects.toThrow('path traversal detected');
+    expect(await check(join(outsideDir, 'secret.png'))).toBe(
+      join(outsideDir, 'secret.png')
+    );
+  });
+
+  it('should allow any path inside the roots', async () => {
+    const check = createPathCheck({ baseDir: siteDir, roots: [siteDir, sharedDir] });
+
+    expect(await check('../shared/icon.png')).toBe(join(sharedDir, 'icon.png'));
+    expect(await check(join(siteDir, 'img', 'logo.png'))).toBe(
+      join(siteDir, 'img', 'logo.png')
+    );
+  });
+
+  it('should reject paths outside the roots, including absolute ones', async () => {
+    const check = createPathCheck({ baseDir: siteDir, roots: 'packages/site' });
+    const nested = createPathCheck({ baseDir: testDir, roots: 'packages/site' });
+
+    await expect(check(join(outsideDir, 'secret.png'))).rejects.toThrow(
+      'is outside the allowed roots'
+    );
+    await expect(nested('packages/site-other/a.png')).rejects.toThrow(
+      'is outside the allowed roots'
+    );
+    expect(await nested('packages/site/img/logo.png')).toBe(
+      join(siteDir, 'img', 'logo.png')
+    );
+  });
+
+  it('should check symlink targets against the roots by default', async () => {
+    const check = createPathCheck({ roots: [siteDir, sharedDir] });
+
+    expect(await check(join(siteDir, 'shared-icon.png'))).toBe(
+      join(siteDir, 'shared-icon.png')
+    );
+    await expect(check(join(siteDir, 'secret.png'))).rejects.toThrow(
+      'links outside the allowed roots'
+    );
+  });
+
+  it('should follow any symlink with follow', async () => {
+    const check = createPathCheck({ roots: siteDir, symlinks: 'follow' });
+    expect(await check(join(siteDir, 'secret.png'))).toBe(join(siteDir, 'secret.png'));
+  });
+
+  it('should reject symlinked files and directories with deny', async () => {
+    const check = createPathCheck({ roots: [siteDir, sharedDir], symlinks: 'deny' });
+
+    await expect(check(join(siteDir, 'shared-icon.png'))).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+    await expect(check(join(siteDir, 'linked-img', 'logo.png'))).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+    expect(await check(join(siteDir, 'img', 'logo.png'))).toBe(
+      join(siteDir, 'img', 'logo.png')
+    );
+  });
+
+  it('should reject symlinked files with deny when no roots are set', async () => {
+    const check = createPathCheck({ symlinks: 'deny' });
+    await expect(check(join(siteDir, 'secret.png'))).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+  });
+
+  it('should reject symlinked parent directories with deny when no roots are set', async () => {
+    const check = createPathCheck({ baseDir: siteDir, symlinks: 'deny' });
+
+    await expect(check('linked-img/logo.png')).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+    await expect(check(join(siteDir, 'linked-img', 'logo.png'))).rejects.toThrow(
+      'symbolic links are not allowed'
+    );
+    expect(await check('img/logo.png')).toBe(join(siteDir, 'img', 'logo.png'));
+    expect(await check(join(sharedDir, 'icon.png'))).toBe(join(sharedDir, 'icon.png'));
+  });
+
+  it('should keep links under baseDir inside it when no roots are set', async () => {
+    const check = createPathCheck({ baseDir: siteDir });
+
+    for (const path of ['secret.png', join(siteDir, 'secret.png')]) {
+      await expect(check(path)).rejects.toMatchObject({
+        reason: 'symlink-outside-base-dir',
+      });
+    }
+    expect(await check('linked-img/logo.png')).toBe(
+      join(siteDir, 'linked-img', 'logo.png')
+    );
+    expect(await check(join(outsideDir, 'secret.png'))).toBe(
+      join(outsideDir, 'secret.png')
+    );
+    expect(
+      await createPathCheck({ baseDir: siteDir, symlinks: 'follow' })('secret.png')
+    ).toBe(join(siteDir, 'secret.png'));
+  });
+
+  it('should leave missing files to the caller', async () => {
+    const check = createPathCheck({ roots: siteDir, symlinks: 'deny' });
+    expect(await check(join(siteDir, 'missing.png'))).toBe(join(siteDir, 'missing.png'));
+  });
+
+  it('should validate options', () => {
+    expect(() => createPathCheck({ symlinks: 'never' })).toThrow(
+      'Expected symlinks to be one of: follow, deny, within-roots'
+    );
+    expect(() => createPathCheck({ roots: [] })).toThrow(TypeError);
+    expect(() => createPathCheck({ roots: [42] })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,36 @@
+import { readFile } from 'fs/promises';
+import { pluginOptions, splitQuery, inlineAsset, dataUriModule } from './shared.js';
+
+const NAMESPACE = 'imguri';
+
+export default function imguriEsbuild(options = {}) {
+  const { filter, encodeOptions } = pluginOptions(options);
+
+  return {
+    name: 'imguri',
+    setup(build) {
+      build.onResolve({ filter }, async (args) => {
+        const { path } = splitQuery(args.path);
+        const result = await build.resolve(path, {
+          kind: args.kind,
+          importer: args.importer,
+          resolveDir: args.resolveDir,
+        });
+        if (result.errors.length > 0) {
+          return { errors: result.errors };
+        }
+        return { path: result.path, namespace: NAMESPACE };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: NAMESPACE }, async ({ path }) => {
+        const dataUri = await inlineAsset(path, encodeOptions);
+        if (dataUri) {
+          return { contents: dataUriModule(dataUri), loader: 'js', watchFiles: [path] };
+        }
+
+        // The file loader copies the asset to the output and exports its URL
+        return { contents: await readFile(path), loader: 'file', watchFiles: [path] };
+      });
+    },
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * Tests for bundler plugins
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { build } from 'esbuild';
+import { rollup } from 'rollup';
+import { build as viteBuild } from 'vite';
+import { writeFile, rm, mkdtemp, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import imguriEsbuild from './esbuild.js';
+import imguriRollup from './rollup.js';
+import imguriVite from './vite.js';
+import imguriLoader, { raw } from './webpack.js';
+import { pluginOptions, splitQuery } from './shared.js';
+
+// Small 1x1 PNG (red pixel)
+const testPngBuffer = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49, 0x48,
+  0x44, 0x52, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x08, 0x02, 0x00, 0x00,
+  0x00, 0x90, 0x77, 0x53, 0xde, 0x00, 0x00, 0x00, 0x0c, 0x49, 0x44, 0x41, 0x54, 0x08,
+  0xd7, 0x63, 0xf8, 0xcf, 0xc0, 0x00, 0x00, 0x03, 0x01, 0x01, 0x00, 0x18, 0xdd, 0x8d,
+  0xb4, 0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+]);
+
+const pngDataUri = `data:image/png;base64,${testPngBuffer.toString('base64')}`;
+const sizeLimit = 1000;
+
+let testDir;
+let entryPath;
+let smallPath;
+let largePath;
+
+beforeAll(async () => {
+  testDir = await mkdtemp(join(tmpdir(), 'imguri-plugins-'));
+  smallPath = join(testDir, 'img', 'small.png');
+  largePath = join(testDir, 'img', 'large.png');
+  entryPath = join(testDir, 'entry.js');
+
+  await mkdir(join(testDir, 'img'));
+  await writeFile(smallPath, testPngBuffer);
+  await writeFile(largePath, Buffer.concat([testPngBuffer, Buffer.alloc(2000)]));
+  await writeFile(
+    entryPath,
+    [
+      "import small from './img/small.png?imguri';",
+      "import large from './img/large.png?imguri';",
+      'export { small, large };',
+    ].join('\n')
+  );
+});
+
+afterAll(async () => {
+  if (testDir) {
+    await rm(testDir, { recursive: true, force: true });
+  }
+});
+
+describe('plugin helpers', () => {
+  it('should match the query among other parameters', () => {
+    const { filter } = pluginOptions();
+
+    expect(filter.test('./a.png?imguri')).toBe(true);
+    expect(filter.test('./a.png?v=1&imguri')).toBe(true);
+    expect(filter.test('./a.png?imguri=1')).toBe(true);
+    expect(filter.test('./a.png')).toBe(false);
+    expect(filter.test('./a.png?imguris')).toBe(false);
+    expect(pluginOptions({ query: 'inline' }).filter.test('./a.png?inline')).toBe(true);
+  });
+
+  it('should keep encode options apart from plugin options', () => {
+    expect(pluginOptions({ query: 'inline', sizeLimit: 10 }).encodeOptions).toEqual({
+      sizeLimit: 10,
+    });
+    expect(() => pluginOptions({ query: '' })).toThrow(TypeError);
+  });
+
+  it('should split the query from the path', () => {
+    expect(splitQuery('/a/b.png?imguri&v=1')).toEqual({
+      path: '/a/b.png',
+      search: '?imguri&v=1',
+    });
+    expect(splitQuery('/a/b.png')).toEqual({ path: '/a/b.png', search: '' });
+  });
+});
+
+describe('esbuild plugin', () => {
+  it('should inline small files and emit large ones as assets', async () => {
+    const result = await build({
+      entryPoints: [entryPath],
+      bundle: true,
+      write: false,
+      format: 'esm',
+      outdir: join(testDir, 'out'),
+      logLevel: 'silent',
+      plugins: [imguriEsbuild({ sizeLimit })],
+    });
+
+    const js = result.outputFiles.find(({ path }) => path.endsWith('.js')).text;
+    const assets = result.outputFiles.filter(({ path }) => path.endsWith('.png'));
+
+    expect(js).toContain(pngDataUri);
+    expect(assets).toHaveLength(1);
+    expect(assets[0].path).toMatch(/large-\w+\.png$/);
+    expect(js).toContain(assets[0].path.split('/').pop());
+  });
+
+  it('should report files that cannot be resolved', async () => {
+    await expect(
+      build({
+        stdin: { contents: "import x from './missing.png?imguri';", resolveDir: testDir },
+        bundle: true,
+        write: false,
+        logLevel: 'silent',
+        plugins: [imguriEsbuild()],
+      })
+    ).rejects.toThrow('Could not resolve');
+  });
+
+  it('should register watch files', async () => {
+    const handlers = {};
+    imguriEsbuild().setup({
+      onResolve: () => {},
+      onLoad: (_, handler) => {
+        handlers.load = handler;
+      },
+    });
+
+    const result = await handlers.load({ path: smallPath });
+    expect(result.watchFiles).toEqual([smallPath]);
+  });
+});
+
+describe('rollup plugin', () => {
+  it('should inline small files and emit large ones as assets', async () => {
+    const bundle = await rollup({
+      input: entryPath,
+      plugins: [imguriRollup({ sizeLimit })],
+    });
+    const { output } = await bundle.generate({ format: 'es' });
+    await bundle.close();
+
+    const [chunk, ...assets] = output;
+    expect(chunk.code).toContain(pngDataUri);
+    expect(assets).toHaveLength(1);
+    expect(assets[0].fileName).toMatch(/^assets\/large-[\w-]+\.png$/);
+    expect(chunk.code).toContain(assets[0].fileName);
+    expect(bundle.watchFiles).toEqual(expect.arrayContaining([smallPath, largePath]));
+  });
+
+  it('should leave other imports alone', async () => {
+    const plugin = imguriRollup();
+    expect(await plugin.resolveId.call({}, './a.png', entryPath, {})).toBeNull();
+    expect(await plugin.load.call({}, smallPath)).toBeNull();
+  });
+});
+
+describe('vite plugin', () => {
+  it('should inline small files and leave large ones to Vite', async () => {
+    const result = await viteBuild({
+      configFile: false,
+      root: testDir,
+      logLevel: 'silent',
+      plugins: [imguriVite({ sizeLimit })],
+      build: {
+        write: false,
+        assetsInlineLimit: 0,
+        rollupOptions: { input: entryPath, preserveEntrySignatures: 'strict' },
+      },
+    });
+
+    const { output } = Array.isArray(result) ? result[0] : result;
+    const chunk = output.find(({ type }) => type === 'chunk');
+    const assets = output.filter(({ fileName }) => fileName.endsWith('.png'));
+
+    expect(chunk.code).toContain(pngDataUri);
+    expect(assets.map(({ fileName }) => fileName)).toEqual([
+      expect.stringMatching(/^assets\/large-[\w-]+\.png$/),
+    ]);
+  });
+
+  it('should run before Vite resolves assets', () => {
+    expect(imguriVite().enforce).toBe('pre');
+  });
+});
+
+describe('webpack loader', () => {
+  function runLoader(resourcePath, source, options = {}) {
+    const emitted = [];
+    const dependencies = [];
+
+    return new Promise((resolve, reject) => {
+      imguriLoader.call(
+        {
+          resourcePath,
+          getOptions: () => options,
+          addDependency: (path) => dependencies.push(path),
+          emitFile: (name, content) => emitted.push({ name, content }),
+          async: () => (error, code) =>
+            error ? reject(error) : resolve({ code, emitted, dependencies }),
+        },
+        source
+      );
+    });
+  }
+
+  it('should receive the raw file', () => {
+    expect(raw).toBe(true);
+  });
+
+  it('should inline small files', async () => {
+    const { code, emitted, dependencies } = await runLoader(smallPath, testPngBuffer);
+
+    expect(code).toBe(`export default ${JSON.stringify(pngDataUri)};\n`);
+    expect(emitted).toEqual([]);
+    expect(dependencies).toEqual([smallPath]);
+  });
+
+  it('should emit large files with a content hash', async () => {
+    const source = Buffer.concat([testPngBuffer, Buffer.alloc(2000)]);
+    const { code, emitted } = await runLoader(largePath, source, { sizeLimit });
+
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0].name).toMatch(/^large\.[0-9a-f]{8}\.png$/);
+    expect(emitted[0].content).toBe(source);
+    expect(code).toBe(
+      `export default __webpack_public_path__ + ${JSON.stringify(emitted[0].name)};\n`
+    );
+  });
+
+  it('should pass other errors to webpack', async () => {
+    await expect(
+      runLoader(join(testDir, 'missing.png'), Buffer.alloc(0))
+    ).rejects.toThrow('File not found');
+  });
+});
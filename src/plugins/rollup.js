@@ -0,0 +1,47 @@
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { pluginOptions, splitQuery, inlineAsset, dataUriModule } from './shared.js';
+
+async function emitAsset(context, path) {
+  const referenceId = context.emitFile({
+    type: 'asset',
+    name: basename(path),
+    originalFileName: path,
+    source: await readFile(path),
+  });
+  return `export default import.meta.ROLLUP_FILE_URL_${referenceId};\n`;
+}
+
+// Shared with the Vite plugin, which replaces how oversized files are turned into assets
+export function createRollupPlugin(options = {}, assetModule = emitAsset) {
+  const { filter, encodeOptions } = pluginOptions(options);
+
+  return {
+    name: 'imguri',
+
+    async resolveId(source, importer, resolveOptions) {
+      if (!filter.test(source)) return null;
+
+      const { path, search } = splitQuery(source);
+      const resolved = await this.resolve(path, importer, {
+        ...resolveOptions,
+        skipSelf: true,
+      });
+      return resolved && !resolved.external ? `${resolved.id}${search}` : null;
+    },
+
+    async load(id) {
+      if (!filter.test(id)) return null;
+
+      const { path } = splitQuery(id);
+      this.addWatchFile(path);
+
+      const dataUri = await inlineAsset(path, encodeOptions);
+      return dataUri ? dataUriModule(dataUri) : assetModule(this, path);
+    },
+  };
+}
+
+export default function imguriRollup(options = {}) {
+  return createRollupPlugin(options);
+}
@@ -0,0 +1,44 @@
+import { encodeSingle } from '../imguri.js';
+import { SizeLimitError } from '../errors.js';
+
+const DEFAULT_QUERY = 'imguri';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Everything except the plugin's own settings is passed on to encodeSingle()
+export function pluginOptions(options = {}) {
+  const { query = DEFAULT_QUERY, ...encodeOptions } = options;
+
+  if (typeof query !== 'string' || !query) {
+    throw new TypeError('Expected query to be a non-empty string');
+  }
+
+  return {
+    query,
+    filter: new RegExp(`\\?(?:.*&)?${escapeRegExp(query)}(?:[&=]|$)`),
+    encodeOptions,
+  };
+}
+
+export function splitQuery(id) {
+  const index = id.indexOf('?');
+  return index === -1
+    ? { path: id, search: '' }
+    : { path: id.slice(0, index), search: id.slice(index) };
+}
+
+// Resolves to null when the file is over the size limit and should become a regular asset
+export async function inlineAsset(path, encodeOptions) {
+  try {
+    return await encodeSingle(path, encodeOptions);
+  } catch (error) {
+    if (error instanceof SizeLimitError) return null;
+    throw error;
+  }
+}
+
+export function dataUriModule(dataUri) {
+  return `export default ${JSON.stringify(dataUri)};\n`;
+}
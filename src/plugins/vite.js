@@ -0,0 +1,7 @@
+import { createRollupPlugin } from './rollup.js';
+
+export default function imguriVite(options = {}) {
+  // Oversized files are left to Vite's own asset handling, which also works in dev
+  const plugin = createRollupPlugin(options, () => null);
+  return { ...plugin, enforce: 'pre' };
+}
@@ -0,0 +1,32 @@
+import { createHash } from 'crypto';
+import { basename, extname } from 'path';
+import { pluginOptions, inlineAsset, dataUriModule } from './shared.js';
+
+function assetName(path, source) {
+  const hash = createHash('sha256').update(source).digest('hex').slice(0, 8);
+  const extension = extname(path);
+  return `${basename(path, extension)}.${hash}${extension}`;
+}
+
+// Used as a loader on a rule matching `resourceQuery: /imguri/`
+export default function imguriLoader(source) {
+  const callback = this.async();
+  const { encodeOptions } = pluginOptions(this.getOptions());
+  const path = this.resourcePath;
+
+  this.addDependency(path);
+
+  inlineAsset(path, encodeOptions).then((dataUri) => {
+    if (dataUri) {
+      callback(null, dataUriModule(dataUri));
+      return;
+    }
+
+    const name = assetName(path, source);
+    this.emitFile(name, source);
+    callback(null, `export default __webpack_public_path__ + ${JSON.stringify(name)};\n`);
+  }, callback);
+}
+
+// Receive the file as a Buffer so oversized files are emitted byte for byte
+export const raw = true;
@@ -0,0 +1,74 @@
+function assertConcurrency(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('Expected concurrency to be a positive integer');
+  }
+}
+
+// Keeps up to `concurrency` workers busy, starting the next item as soon as one settles
+export async function runPool(items, concurrency, worker, options = {}) {
+  const { signal } = options;
+  assertConcurrency(concurrency);
+
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      await worker(items[next++]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+}
+
+// Yields worker results in completion order. Items are pulled from the (async) iterable
+// only while fewer than `concurrency` results are pending, so a slow consumer holds the
+// source back instead of buffering it. Workers receive a signal that also aborts when
+// the consumer stops early.
+export async function* mapPool(iterable, concurrency, worker, options = {}) {
+  const { signal } = options;
+  assertConcurrency(concurrency);
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (signal?.aborted) onAbort();
+
+  const iterator = iterable[Symbol.asyncIterator]?.() ?? iterable[Symbol.iterator]();
+  const pending = new Map();
+  let nextId = 0;
+  let exhausted = false;
+
+  try {
+    for (;;) {
+      while (!exhausted && pending.size < concurrency) {
+        controller.signal.throwIfAborted();
+        const { value, done } = await iterator.next();
+        if (done) {
+          exhausted = true;
+          break;
+        }
+
+        const id = nextId++;
+        const task = Promise.resolve()
+          .then(() => worker(value, controller.signal))
+          .then((result) => ({ id, result }));
+        pending.set(id, task);
+      }
+
+      if (pending.size === 0) return;
+
+      const { id, result } = await Promise.race(pending.values());
+      pending.delete(id);
+      yield result;
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    if (pending.size > 0) {
+      controller.abort();
+      for (const task of pending.values()) task.catch(() => {});
+    }
+    if (!exhausted) {
+      await iterator.return?.();
+    }
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Tests for the worker pool
+ */
+
+import { describe, it, expect } from 'vitest';
+import { setTimeout as sleep } from 'timers/promises';
+import { runPool, mapPool } from './pool.js';
+
+describe('runPool', () => {
+  it('should start the next item as soon as a slot frees up', async () => {
+    const started = [];
+    const durations = { slow: 60, a: 5, b: 5, c: 5 };
+
+    await runPool(['slow', 'a', 'b', 'c'], 2, async (item) => {
+      started.push(item);
+      await sleep(durations[item]);
+      if (item === 'slow') {
+        expect(started).toEqual(['slow', 'a', 'b', 'c']);
+      }
+    });
+
+    expect(started).toHaveLength(4);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await runPool(
+      Array.from({ length: 10 }, (_, i) => i),
+      3,
+      async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(item % 3);
+        active--;
+      }
+    );
+
+    expect(peak).toBe(3);
+  });
+
+  it('should handle empty input', async () => {
+    await expect(runPool([], 4, async () => {})).resolves.toBeUndefined();
+  });
+
+  it('should stop starting items once aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const run = runPool(
+      [1, 2, 3, 4],
+      1,
+      async (item) => {
+        started.push(item);
+        if (item === 2) controller.abort();
+      },
+      { signal: controller.signal }
+    );
+
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(started).toEqual([1, 2]);
+  });
+
+  it('should reject invalid concurrency', async () => {
+    await expect(runPool([1], 0, async () => {})).rejects.toThrow(
+      'Expected concurrency to be a positive integer'
+    );
+  });
+});
+
+describe('mapPool', () => {
+  async function collect(iterable) {
+    const results = [];
+    for await (const result of iterable) results.push(result);
+    return results;
+  }
+
+  it('should yield results in completion order', async () => {
+    const results = await collect(
+      mapPool([30, 5, 15], 3, async (delay) => {
+        await sleep(delay);
+        return delay;
+      })
+    );
+
+    expect(results).toEqual([5, 15, 30]);
+  });
+
+  it('should accept async iterables', async () => {
+    async function* source() {
+      yield 1;
+      yield 2;
+    }
+
+    const results = await collect(mapPool(source(), 2, async (item) => item * 10));
+    expect(results.sort()).toEqual([10, 20]);
+  });
+
+  it('should only pull items while results are pending below concurrency', async () => {
+    let pulled = 0;
+    function* source() {
+      for (let i = 0; i < 100; i++) {
+        pulled++;
+        yield i;
+      }
+    }
+
+    const iterator = mapPool(source(), 3, async (item) => item);
+    await iterator.next();
+    await iterator.next();
+
+    expect(pulled).toBeLessThanOrEqual(5);
+    await iterator.return();
+  });
+
+  it('should abort pending work and close the source when the consumer stops', async () => {
+    let closed = false;
+    function* source() {
+      try {
+        yield 'fast';
+        yield 'slow';
+        yield 'never';
+      } finally {
+        closed = true;
+      }
+    }
+
+    const signals = [];
+    for await (const result of mapPool(source(), 2, async (item, signal) => {
+      signals.push(signal);
+      if (item === 'slow') await sleep(1000, undefined, { signal }).catch(() => {});
+      return item;
+    })) {
+      expect(result).toBe('fast');
+      break;
+    }
+
+    expect(closed).toBe(true);
+    expect(signals.every((signal) => signal.aborted)).toBe(true);
+  });
+
+  it('should reject when the signal aborts', async () => {
+    const controller = new AbortController();
+    const iterator = mapPool(
+      [1, 2, 3],
+      1,
+      async (item, signal) => {
+        controller.abort();
+        signal.throwIfAborted();
+        return item;
+      },
+      { signal: controller.signal }
+    );
+
+    await expect(collect(iterator)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,61 @@
+import { normalizeHostname } from './core/network.js';
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// Agents are shared so connections to a proxy are reused across requests
+const agents = new Map();
+
+function parseNoProxy(noProxy) {
+  const entries = Array.isArray(noProxy) ? noProxy : noProxy.split(/[\s,]+/);
+  return entries.filter(Boolean).map((entry) => entry.toLowerCase());
+}
+
+// NO_PROXY entries match a host and its subdomains, optionally restricted to a port
+function bypassesProxy(target, noProxy) {
+  const hostname = normalizeHostname(target.hostname);
+  const port = target.port || DEFAULT_PORTS[target.protocol];
+
+  return parseNoProxy(noProxy).some((entry) => {
+    if (entry === '*') return true;
+
+    const [, host, entryPort] = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(entry) ?? [];
+    if (!host || (entryPort && entryPort !== port)) return false;
+
+    const name = normalizeHostname(host).replace(/^\*?\./, '');
+    return hostname === name || hostname.endsWith(`.${name}`);
+  });
+}
+
+export function proxyFor(url, options = {}, env = process.env) {
+  const { proxy, noProxy = env.no_proxy ?? env.NO_PROXY ?? '' } = options;
+  if (proxy === false) {
+    return null;
+  }
+
+  const target = new URL(url);
+  const httpProxy = env.http_proxy ?? env.HTTP_PROXY;
+  const fromEnv =
+    target.protocol === 'https:'
+      ? (env.https_proxy ?? env.HTTPS_PROXY ?? httpProxy)
+      : httpProxy;
+  const proxyUrl = proxy ?? fromEnv;
+
+  if (!proxyUrl || bypassesProxy(target, noProxy)) {
+    return null;
+  }
+  return proxyUrl;
+}
+
+export async function dispatcherFor(url, options = {}) {
+  const proxyUrl = proxyFor(url, options);
+  if (!proxyUrl) {
+    return undefined;
+  }
+
+  if (!agents.has(proxyUrl)) {
+    // undici is only loaded once a proxy is actually used
+    const agent = import('undici').then(({ ProxyAgent }) => new ProxyAgent(proxyUrl));
+    agents.set(proxyUrl, agent);
+  }
+  return agents.get(proxyUrl);
+}
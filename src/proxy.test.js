@@ -0,0 +1,108 @@
+/**
+ * Tests for proxy selection
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { connect } from 'net';
+import { once } from 'events';
+import { proxyFor, dispatcherFor } from './proxy.js';
+import { fetchBuffer } from './adapters/http-client.js';
+
+const env = {
+  HTTP_PROXY: 'http://proxy.internal:3128',
+  HTTPS_PROXY: 'http://secure-proxy.internal:3128',
+  NO_PROXY: 'localhost, .corp.example, internal.example.com:8443',
+};
+
+describe('proxyFor', () => {
+  it('should pick the proxy for the target protocol', () => {
+    expect(proxyFor('http://example.com/a.png', {}, env)).toBe(env.HTTP_PROXY);
+    expect(proxyFor('https://example.com/a.png', {}, env)).toBe(env.HTTPS_PROXY);
+  });
+
+  it('should fall back to HTTP_PROXY for https targets', () => {
+    expect(
+      proxyFor('https://example.com/a.png', {}, { HTTP_PROXY: env.HTTP_PROXY })
+    ).toBe(env.HTTP_PROXY);
+  });
+
+  it('should prefer lowercase variables', () => {
+    const lower = { http_proxy: 'http://lower:1', HTTP_PROXY: 'http://upper:1' };
+    expect(proxyFor('http://example.com/', {}, lower)).toBe('http://lower:1');
+  });
+
+  it('should return null without a proxy', () => {
+    expect(proxyFor('https://example.com/a.png', {}, {})).toBeNull();
+  });
+
+  it('should honour NO_PROXY hosts, domains and ports', () => {
+    expect(proxyFor('http://localhost:8080/', {}, env)).toBeNull();
+    expect(proxyFor('https://cdn.corp.example/a.png', {}, env)).toBeNull();
+    expect(proxyFor('https://internal.example.com:8443/a.png', {}, env)).toBeNull();
+    expect(proxyFor('https://internal.example.com/a.png', {}, env)).toBe(env.HTTPS_PROXY);
+    expect(proxyFor('https://notcorp.example/a.png', {}, env)).toBe(env.HTTPS_PROXY);
+  });
+
+  it('should bypass every host for a NO_PROXY wildcard', () => {
+    expect(proxyFor('https://example.com/', {}, { ...env, NO_PROXY: '*' })).toBeNull();
+  });
+
+  it('should let options override the environment', () => {
+    const options = { proxy: 'http://explicit:8080', noProxy: ['example.com'] };
+
+    expect(proxyFor('https://other.test/', options, env)).toBe('http://explicit:8080');
+    expect(proxyFor('https://img.example.com/', options, env)).toBeNull();
+    expect(proxyFor('https://other.test/', { proxy: false }, env)).toBeNull();
+  });
+});
+
+describe('dispatcherFor', () => {
+  let target;
+  let proxy;
+  const tunnels = [];
+
+  beforeAll(async () => {
+    target = createServer((req, res) => {
+      res.end(`proxied ${req.url}`);
+    }).listen(0, '127.0.0.1');
+
+    proxy = createServer().listen(0, '127.0.0.1');
+    proxy.on('connect', (req, socket) => {
+      tunnels.push(req.url);
+      const [host, port] = req.url.split(':');
+      const upstream = connect(Number(port), host, () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+      });
+      upstream.on('error', () => socket.destroy());
+      socket.on('error', () => upstream.destroy());
+    });
+
+    await Promise.all([once(target, 'listening'), once(proxy, 'listening')]);
+  });
+
+  afterAll(async () => {
+    target.closeAllConnections();
+    proxy.closeAllConnections();
+    target.close();
+    proxy.close();
+  });
+
+  it('should return undefined when no proxy applies', async () => {
+    expect(await dispatcherFor('http://example.com/', { proxy: false })).toBeUndefined();
+  });
+
+  it('should send requests through the configured proxy', async () => {
+    const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+    const targetHost = `127.0.0.1:${target.address().port}`;
+
+    const { buffer } = await fetchBuffer(`http://${targetHost}/image.png`, 5000, {
+      dispatcherFor: (url) => dispatcherFor(url, { proxy: proxyUrl, noProxy: [] }),
+    });
+
+    expect(buffer.toString()).toBe('proxied /image.png');
+    expect(tunnels).toContain(targetHost);
+  });
+});
@@ -0,0 +1,83 @@
+import { matchesHost } from './core/network.js';
+
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+function authorization(auth) {
+  if (auth.token) {
+    return `Bearer ${auth.token}`;
+  }
+
+  const { username = '', password = '' } = auth;
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+function cookieHeader(cookies) {
+  if (typeof cookies === 'string') {
+    return cookies;
+  }
+
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+}
+
+function buildHeaders({ headers = {}, auth, cookies } = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name.toLowerCase()] = value;
+  }
+
+  if (auth) result.authorization = authorization(auth);
+  if (cookies) result.cookie = cookieHeader(cookies);
+  return result;
+}
+
+function withoutCredentials(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.includes(name))
+  );
+}
+
+export function createHeaderResolver(options, sourceUrl) {
+  const { userAgent, hosts = {} } = options;
+  const sourceOrigin = new URL(sourceUrl).origin;
+  const defaults = buildHeaders(options);
+  const hostHeaders = Object.entries(hosts).map(([pattern, hostOptions]) => [
+    pattern,
+    buildHeaders(hostOptions),
+  ]);
+
+  return function headersFor(url) {
+    const { origin, hostname } = new URL(url);
+
+    // Credentials meant for the requested URL stay behind when a redirect leaves its origin
+    const resolved = {
+      ...(userAgent ? { 'user-agent': userAgent } : {}),
+      ...(origin === sourceOrigin ? defaults : withoutCredentials(defaults)),
+    };
+
+    for (const [pattern, headers] of hostHeaders) {
+      if (matchesHost([pattern], hostname)) {
+        Object.assign(resolved, headers);
+      }
+    }
+
+    return resolved;
+  };
+}
+
+// Everything the resolver could send, so responses fetched with different credentials
+// are cached apart; null when no headers are configured
+export function requestVariant(options) {
+  const { userAgent, hosts = {} } = options;
+  const headers = buildHeaders(options);
+  const hostHeaders = Object.entries(hosts).map(([pattern, hostOptions]) => [
+    pattern,
+    buildHeaders(hostOptions),
+  ]);
+
+  if (!userAgent && Object.keys(headers).length === 0 && hostHeaders.length === 0) {
+    return null;
+  }
+  return { userAgent: userAgent ?? null, headers, hosts: hostHeaders };
+}
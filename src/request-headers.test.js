@@ -0,0 +1,80 @@
+/**
+ * Tests for per-request header resolution
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createHeaderResolver } from './request-headers.js';
+
+const SOURCE = 'https://cdn.example.com/a.png';
+
+describe('createHeaderResolver', () => {
+  it('should return no headers by default', () => {
+    expect(createHeaderResolver({}, SOURCE)(SOURCE)).toEqual({});
+  });
+
+  it('should send default headers with lowercase names', () => {
+    const headersFor = createHeaderResolver({ headers: { 'X-Team': 'web' } }, SOURCE);
+    expect(headersFor(SOURCE)).toEqual({ 'x-team': 'web' });
+  });
+
+  it('should build Basic and Bearer authorization', () => {
+    const basic = createHeaderResolver(
+      { auth: { username: 'user', password: 'secret' } },
+      SOURCE
+    );
+    const bearer = createHeaderResolver({ auth: { token: 'abc' } }, SOURCE);
+
+    expect(basic(SOURCE).authorization).toBe(
+      `Basic ${Buffer.from('user:secret').toString('base64')}`
+    );
+    expect(bearer(SOURCE).authorization).toBe('Bearer abc');
+  });
+
+  it('should build cookies from objects and strings', () => {
+    expect(
+      createHeaderResolver({ cookies: { a: '1', b: '2' } }, SOURCE)(SOURCE).cookie
+    ).toBe('a=1; b=2');
+    expect(createHeaderResolver({ cookies: 'a=1' }, SOURCE)(SOURCE).cookie).toBe('a=1');
+  });
+
+  it('should set the User-Agent', () => {
+    const headersFor = createHeaderResolver({ userAgent: 'site-build/2.0' }, SOURCE);
+    expect(headersFor(SOURCE)['user-agent']).toBe('site-build/2.0');
+  });
+
+  it('should apply headers for matching hosts', () => {
+    const headersFor = createHeaderResolver(
+      {
+        headers: { 'x-team': 'web' },
+        hosts: {
+          '*.example.com': { headers: { 'X-Team': 'images' } },
+          'cdn.example.com': { auth: { token: 'cdn-token' } },
+        },
+      },
+      SOURCE
+    );
+
+    expect(headersFor(SOURCE)).toEqual({
+      'x-team': 'images',
+      authorization: 'Bearer cdn-token',
+    });
+    expect(headersFor('https://other.test/a.png')).toEqual({ 'x-team': 'web' });
+  });
+
+  it('should drop default credentials for other origins', () => {
+    const headersFor = createHeaderResolver(
+      {
+        headers: { 'x-team': 'web', Authorization: 'Bearer raw' },
+        cookies: { session: '1' },
+      },
+      SOURCE
+    );
+
+    expect(headersFor('https://cdn.example.com/b.png')).toMatchObject({
+      authorization: 'Bearer raw',
+      cookie: 'session=1',
+    });
+    expect(headersFor('https://evil.test/a.png')).toEqual({ 'x-team': 'web' });
+    expect(headersFor('http://cdn.example.com/a.png')).toEqual({ 'x-team': 'web' });
+  });
+});
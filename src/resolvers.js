@@ -0,0 +1,66 @@
+const SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):/i;
+const SCHEME_NAME = /^[a-z][a-z0-9+.-]+$/;
+
+// Single-letter schemes are Windows drive letters, not URLs
+export function schemeOf(path) {
+  const match = SCHEME_PATTERN.exec(path);
+  return match && match[1].length > 1 ? match[1].toLowerCase() : null;
+}
+
+export function normalizeResolvers(resolvers = {}) {
+  if (typeof resolvers !== 'object' || resolvers === null) {
+    throw new TypeError('Expected resolvers to be an object keyed by scheme');
+  }
+
+  return new Map(
+    Object.entries(resolvers).map(([scheme, resolver]) => {
+      const name = scheme.replace(/:$/, '').toLowerCase();
+      if (!SCHEME_NAME.test(name)) {
+        throw new TypeError(
+          `Expected resolver scheme to be a URL scheme, got "${scheme}"`
+        );
+      }
+      if (typeof resolver?.read !== 'function') {
+        throw new TypeError(`Expected resolver for ${name}: to have a read function`);
+      }
+      if (resolver.stat !== undefined && typeof resolver.stat !== 'function') {
+        throw new TypeError(`Expected stat of resolver for ${name}: to be a function`);
+      }
+      return [name, resolver];
+    })
+  );
+}
+
+function toBuffer(chunk) {
+  if (typeof chunk === 'string' || chunk instanceof ArrayBuffer) {
+    return Buffer.from(chunk);
+  }
+  return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+// Buffers, typed arrays and strings are yielded whole; blobs, iterables and streams chunk by chunk
+export async function* contentChunks(content) {
+  if (content instanceof Blob) {
+    yield* contentChunks(content.stream());
+    return;
+  }
+
+  if (
+    typeof content === 'string' ||
+    content instanceof ArrayBuffer ||
+    ArrayBuffer.isView(content)
+  ) {
+    yield toBuffer(content);
+    return;
+  }
+
+  if (!content?.[Symbol.asyncIterator] && !content?.[Symbol.iterator]) {
+    throw new TypeError(
+      'Expected resolver read to return a Buffer, Blob, string or stream'
+    );
+  }
+
+  for await (const chunk of content) {
+    yield toBuffer(chunk);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for source resolver helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'stream';
+import { schemeOf, normalizeResolvers, contentChunks } from './resolvers.js';
+
+async function collect(chunks) {
+  const buffers = [];
+  for await (const chunk of chunks) {
+    buffers.push(chunk);
+  }
+  return buffers;
+}
+
+describe('schemeOf', () => {
+  it('should return the lowercased scheme', () => {
+    expect(schemeOf('HTTPS://example.com/a.png')).toBe('https');
+    expect(schemeOf('asset://logo.png')).toBe('asset');
+    expect(schemeOf('data:image/png;base64,AAAA')).toBe('data');
+    expect(schemeOf('s3+mock:bucket/key')).toBe('s3+mock');
+  });
+
+  it('should treat paths and drive letters as scheme-less', () => {
+    expect(schemeOf('/var/images/a.png')).toBeNull();
+    expect(schemeOf('images/a.png')).toBeNull();
+    expect(schemeOf('C:\\images\\a.png')).toBeNull();
+  });
+});
+
+describe('normalizeResolvers', () => {
+  const read = async () => Buffer.alloc(0);
+
+  it('should key resolvers by lowercased scheme', () => {
+    const asset = { read };
+    const resolvers = normalizeResolvers({ 'Asset:': asset });
+    expect(resolvers.get('asset')).toBe(asset);
+    expect(normalizeResolvers().size).toBe(0);
+  });
+
+  it('should reject invalid resolvers', () => {
+    expect(() => normalizeResolvers('asset')).toThrow(TypeError);
+    expect(() => normalizeResolvers({ 'bad scheme': { read } })).toThrow(
+      'Expected resolver scheme to be a URL scheme'
+    );
+    expect(() => normalizeResolvers({ asset: {} })).toThrow(
+      'Expected resolver for asset: to have a read function'
+    );
+    expect(() => normalizeResolvers({ asset: { read, stat: true } })).toThrow(
+      'Expected stat of resolver for asset: to be a function'
+    );
+  });
+});
+
+describe('contentChunks', () => {
+  it('should yield buffers, typed arrays and strings whole', async () => {
+    expect(await collect(contentChunks(Buffer.from('abc')))).toEqual([
+      Buffer.from('abc'),
+    ]);
+    expect(await collect(contentChunks(new Uint8Array([1, 2])))).toEqual([
+      Buffer.from([1, 2]),
+    ]);
+    expect(await collect(contentChunks('<svg/>'))).toEqual([Buffer.from('<svg/>')]);
+  });
+
+  it('should yield stream and iterable chunks as buffers', async () => {
+    const stream = Readable.from([Buffer.from('ab'), Buffer.from('cd')]);
+    expect(Buffer.concat(await collect(contentChunks(stream))).toString()).toBe('abcd');
+
+    expect(
+      Buffer.concat(await collect(contentChunks(new Blob(['blob'])))).toString()
+    ).toBe('blob');
+
+    const web = new Blob(['web stream']).stream();
+    expect(Buffer.concat(await collect(contentChunks(web))).toString()).toBe(
+      'web stream'
+    );
+  });
+
+  it('should reject other values', async () => {
+    await expect(collect(contentChunks(42))).rejects.toThrow(
+      'Expected resolver read to return a Buffer, Blob, string or stream'
+    );
+  });
+});
@@ -0,0 +1,63 @@
+import { setTimeout as sleep } from 'timers/promises';
+import {
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_MIN_DELAY,
+  DEFAULT_RETRY_MAX_DELAY,
+  DEFAULT_RETRY_STATUSES,
+} from './config.js';
+
+// Statuses whose Retry-After header is honoured
+const RETRY_AFTER_STATUSES = [429, 503];
+
+export function normalizeRetry(retry = {}) {
+  const {
+    retries = DEFAULT_RETRIES,
+    minDelay = DEFAULT_RETRY_MIN_DELAY,
+    maxDelay = DEFAULT_RETRY_MAX_DELAY,
+    jitter = true,
+    statuses = DEFAULT_RETRY_STATUSES,
+  } = typeof retry === 'number' ? { retries: retry } : retry;
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new TypeError('Expected retries to be a non-negative integer');
+  }
+
+  return { retries, minDelay, maxDelay, jitter, statuses };
+}
+
+export function isRetryable(error, policy) {
+  return Boolean(error.transient) || policy.statuses.includes(error.status);
+}
+
+// Returns the delay before the next attempt, or null when waiting is not worthwhile
+export function retryDelay(attempt, error, policy) {
+  const { minDelay, maxDelay, jitter } = policy;
+
+  if (RETRY_AFTER_STATUSES.includes(error.status) && error.retryAfter != null) {
+    return error.retryAfter <= maxDelay ? error.retryAfter : null;
+  }
+
+  const delay = Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+  return jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+export async function withRetry(operation, retry, signal) {
+  const policy = normalizeRetry(retry);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await operation(attempt), attempts: attempt };
+    } catch (error) {
+      const delay =
+        attempt <= policy.retries && !signal?.aborted && isRetryable(error, policy)
+          ? retryDelay(attempt, error, policy)
+          : null;
+
+      if (delay === null) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
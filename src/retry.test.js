@@ -0,0 +1,100 @@
+/**
+ * Tests for the retry policy
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { normalizeRetry, retryDelay, withRetry } from './retry.js';
+
+const policy = normalizeRetry({ retries: 3, minDelay: 1, maxDelay: 5, jitter: false });
+
+function httpError(status, retryAfter = null) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+}
+
+describe('normalizeRetry', () => {
+  it('should default to no retries', () => {
+    expect(normalizeRetry().retries).toBe(0);
+    expect(normalizeRetry(undefined).statuses).toContain(503);
+  });
+
+  it('should accept a retry count shorthand', () => {
+    expect(normalizeRetry(2).retries).toBe(2);
+  });
+
+  it('should reject invalid retry counts', () => {
+    expect(() => normalizeRetry({ retries: -1 })).toThrow(TypeError);
+    expect(() => normalizeRetry(1.5)).toThrow('non-negative integer');
+  });
+});
+
+describe('retryDelay', () => {
+  it('should back off exponentially up to maxDelay', () => {
+    expect([1, 2, 3, 4].map((attempt) => retryDelay(attempt, {}, policy))).toEqual([
+      1, 2, 4, 5,
+    ]);
+  });
+
+  it('should apply jitter within half of the delay', () => {
+    const jittered = { ...policy, minDelay: 100, maxDelay: 1000, jitter: true };
+    const delay = retryDelay(2, {}, jittered);
+
+    expect(delay).toBeGreaterThanOrEqual(100);
+    expect(delay).toBeLessThanOrEqual(200);
+  });
+
+  it('should honour Retry-After on 429 and 503', () => {
+    expect(retryDelay(1, httpError(429, 3), policy)).toBe(3);
+    expect(retryDelay(1, httpError(503, 0), policy)).toBe(0);
+    expect(retryDelay(1, httpError(500, 3), policy)).toBe(1);
+  });
+
+  it('should give up when Retry-After exceeds maxDelay', () => {
+    expect(retryDelay(1, httpError(503, 60_000), policy)).toBeNull();
+  });
+});
+
+describe('withRetry', () => {
+  it('should report a single attempt on success', async () => {
+    await expect(withRetry(async () => 'ok', policy)).resolves.toEqual({
+      value: 'ok',
+      attempts: 1,
+    });
+  });
+
+  it('should retry transient errors and retryable statuses', async () => {
+    const operation = vi
+      .fn()
+      .mockRejectedValueOnce(Object.assign(new Error('reset'), { transient: true }))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(operation, policy)).resolves.toEqual({
+      value: 'ok',
+      attempts: 3,
+    });
+  });
+
+  it('should not retry other errors', async () => {
+    const operation = vi.fn().mockRejectedValue(httpError(404));
+
+    await expect(withRetry(operation, policy)).rejects.toMatchObject({ attempts: 1 });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report attempts when retries are exhausted', async () => {
+    const operation = vi.fn().mockRejectedValue(httpError(503));
+
+    await expect(withRetry(operation, policy)).rejects.toMatchObject({
+      message: 'HTTP 503',
+      attempts: 4,
+    });
+  });
+
+  it('should respect a custom status list', async () => {
+    const operation = vi.fn().mockRejectedValue(httpError(503));
+
+    await expect(
+      withRetry(operation, { ...policy, statuses: [429] })
+    ).rejects.toMatchObject({ attempts: 1 });
+  });
+});
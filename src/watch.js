@@ -0,0 +1,208 @@
+import { EventEmitter } from 'events';
+import { watch as watchDirectory } from 'fs';
+import { stat } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { expandInputs, inputKey } from './expand.js';
+import { runPool } from './pool.js';
+import { schemeOf } from './resolvers.js';
+import { NotFoundError } from './errors.js';
+import { DEFAULT_CONCURRENCY, DEFAULT_WATCH_DEBOUNCE } from './config.js';
+
+// Size and modification time stand in for the content; null means the file is gone
+async function signatureOf(path, baseDir) {
+  // URLs and custom schemes are encoded once and not polled
+  if (schemeOf(path)) {
+    return 'remote';
+  }
+
+  try {
+    const { size, mtimeMs } = await stat(resolve(baseDir, path));
+    return `${size}:${mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+function successResult(details, pattern) {
+  const { dataUri, ...rest } = details;
+  return { data: dataUri, error: null, pattern, ...rest };
+}
+
+function failureResult(error, pattern) {
+  return { data: null, error, encoding: null, pattern };
+}
+
+export function createWatcher(paths, options, encodeFile) {
+  const {
+    debounce = DEFAULT_WATCH_DEBOUNCE,
+    concurrency = DEFAULT_CONCURRENCY,
+    baseDir = process.cwd(),
+    signal,
+  } = options;
+
+  if (typeof debounce !== 'number' || !(debounce >= 0)) {
+    throw new TypeError('Expected debounce to be a non-negative number of milliseconds');
+  }
+
+  const inputs = Array.isArray(paths) ? paths : [paths];
+  const watcher = new EventEmitter();
+  const results = new Map();
+  const signatures = new Map();
+  const directories = new Map();
+  let timer = null;
+  let running = null;
+  let rescan = false;
+  let closed = false;
+
+  // Failures stay in results, so without a listener they are not thrown and scans go on
+  function report(error) {
+    if (watcher.listenerCount('error') > 0) watcher.emit('error', error);
+  }
+
+  function schedule() {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => run('update'), debounce);
+  }
+
+  // Directories rather than files are watched, so new and replaced files are noticed
+  function syncDirectories(seen) {
+    for (const [dir, handle] of directories) {
+      if (!seen.has(dir)) {
+        handle.close();
+        directories.delete(dir);
+      }
+    }
+
+    for (const dir of seen) {
+      if (directories.has(dir)) continue;
+      try {
+        const handle = watchDirectory(dir, schedule);
+        handle.on('error', () => {
+          handle.close();
+          directories.delete(dir);
+          schedule();
+        });
+        directories.set(dir, handle);
+        // Files created between reading the directory and watching it need another scan
+        rescan = true;
+      } catch {
+        // A directory removed since it was read is dropped by the next scan
+      }
+    }
+  }
+
+  async function encodeChange({ type, path, pattern }) {
+    try {
+      const details = await encodeFile(path);
+      if (closed) return;
+      results.set(path, successResult(details, pattern));
+      watcher.emit(type, { path, pattern, ...details });
+    } catch (error) {
+      if (closed) return;
+      results.set(path, failureResult(error, pattern));
+      report(error);
+    }
+  }
+
+  async function scan() {
+    const seen = new Set();
+    const found = new Map();
+    const keys = new Set();
+
+    for await (const { path, pattern, error } of expandInputs(inputs, options, (dir) =>
+      seen.add(dir)
+    )) {
+      if (error) {
+        // A folder or pattern without files yet is still watched for new ones
+        if (!(error instanceof NotFoundError)) report(error);
+        continue;
+      }
+      const key = inputKey(path, options);
+      if (keys.has(key)) continue;
+
+      keys.add(key);
+      found.set(path, pattern);
+      if (!schemeOf(path)) seen.add(dirname(resolve(baseDir, path)));
+    }
+    if (closed) return false;
+    syncDirectories(seen);
+
+    const changes = [];
+    const current = new Map();
+    for (const [path, pattern] of found) {
+      const signature = await signatureOf(path, baseDir);
+      if (signature === null) continue;
+
+      current.set(path, signature);
+      if (!signatures.has(path)) {
+        changes.push({ type: 'added', path, pattern });
+      } else if (signatures.get(path) !== signature) {
+        changes.push({ type: 'changed', path, pattern });
+      }
+    }
+
+    const removed = [...signatures.keys()].filter((path) => !current.has(path));
+    signatures.clear();
+    current.forEach((signature, path) => signatures.set(path, signature));
+
+    for (const path of removed) {
+      const { pattern = null } = results.get(path) ?? {};
+      results.delete(path);
+      watcher.emit('removed', { path, pattern });
+    }
+    await runPool(changes, concurrency, encodeChange);
+
+    return changes.length > 0 || removed.length > 0;
+  }
+
+  // Scans never overlap; events during a scan trigger one more when it finishes
+  function run(event) {
+    timer = null;
+    if (running) {
+      rescan = true;
+      return;
+    }
+
+    running = scan()
+      .then(
+        (changed) => {
+          if (!closed && (changed || event === 'ready')) watcher.emit(event, results);
+        },
+        (error) => {
+          if (!closed) report(error);
+        }
+      )
+      .finally(() => {
+        running = null;
+        if (rescan) {
+          rescan = false;
+          schedule();
+        }
+      });
+  }
+
+  async function close() {
+    if (closed) return;
+    closed = true;
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', close);
+
+    for (const handle of directories.values()) {
+      handle.close();
+    }
+    directories.clear();
+
+    await running?.catch(() => {});
+    watcher.emit('close');
+  }
+
+  signal?.addEventListener('abort', close, { once: true });
+  if (signal?.aborted) {
+    close();
+  } else {
+    run('ready');
+  }
+
+  return Object.assign(watcher, { results, close });
+}
@@ -0,0 +1,204 @@
+/**
+ * Tests for watch mode
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm, realpath, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { createWatcher } from './watch.js';
+import { PathSecurityError } from './errors.js';
+
+let testDir;
+let watcher;
+let encoded;
+
+async function encodeFile(path) {
+  encoded.push(path);
+  const content = await readFile(resolve(testDir, path), 'utf8');
+  if (content === 'broken') {
+    throw new Error(`Cannot encode ${path}`);
+  }
+  return { dataUri: `data:image/png,${content}`, encoding: 'percent' };
+}
+
+function start(paths, options = {}) {
+  watcher = createWatcher(
+    paths,
+    { debounce: 20, baseDir: testDir, ...options },
+    encodeFile
+  );
+  return watcher;
+}
+
+// Resolves with the first event of the given name, failing the test after a while
+function next(name, timeout = 3000) {
+  return Promise.race([
+    new Promise((resolve) => watcher.once(name, resolve)),
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error(`No ${name} event`)), timeout).unref()
+    ),
+  ]);
+}
+
+beforeEach(async () => {
+  testDir = await realpath(await mkdtemp(join(tmpdir(), 'imguri-watch-')));
+  await mkdir(join(testDir, 'icons', 'nested'), { recursive: true });
+  await writeFile(join(testDir, 'icons', 'home.png'), 'home');
+  await writeFile(join(testDir, 'icons', 'nested', 'user.png'), 'user');
+  encoded = [];
+});
+
+afterEach(async () => {
+  await watcher?.close();
+  watcher = null;
+  await rm(testDir, { recursive: true, force: true });
+});
+
+describe('watch', () => {
+  it('should report existing files as added before ready', async () => {
+    start('icons');
+    const added = [];
+    watcher.on('added', (event) => added.push(event));
+
+    const results = await next('ready');
+    expect(added.map(({ path }) => path)).toEqual([
+      join(testDir, 'icons', 'home.png'),
+      join(testDir, 'icons', 'nested', 'user.png'),
+    ]);
+    expect(added[0]).toEqual({
+      path: join(testDir, 'icons', 'home.png'),
+      pattern: 'icons',
+      dataUri: 'data:image/png,home',
+      encoding: 'percent',
+    });
+    expect(results).toBe(watcher.results);
+    expect(results.get(join(testDir, 'icons', 'home.png'))).toEqual({
+      data: 'data:image/png,home',
+      error: null,
+      encoding: 'percent',
+      pattern: 'icons',
+    });
+  });
+
+  it('should re-encode only the changed file', async () => {
+    start('icons/**/*.png');
+    await next('ready');
+    encoded = [];
+
+    const changed = next('changed');
+    await writeFile(join(testDir, 'icons', 'nested', 'user.png'), 'user-2');
+
+    expect(await changed).toMatchObject({
+      path: join(testDir, 'icons', 'nested', 'user.png'),
+      pattern: 'icons/**/*.png',
+      dataUri: 'data:image/png,user-2',
+    });
+    await next('update');
+    expect(encoded).toEqual([join(testDir, 'icons', 'nested', 'user.png')]);
+  });
+
+  it('should report added and removed files', async () => {
+    start('icons');
+    await next('ready');
+
+    const added = next('added');
+    const update = next('update');
+    await writeFile(join(testDir, 'icons', 'new.png'), 'new');
+    expect((await added).path).toBe(join(testDir, 'icons', 'new.png'));
+    await update;
+
+    const removed = next('removed');
+    const results = next('update');
+    await unlink(join(testDir, 'icons', 'home.png'));
+    expect(await removed).toEqual({
+      path: join(testDir, 'icons', 'home.png'),
+      pattern: 'icons',
+    });
+    expect((await results).has(join(testDir, 'icons', 'home.png'))).toBe(false);
+  });
+
+  it('should pick up files in new and initially empty directories', async () => {
+    await mkdir(join(testDir, 'empty'));
+    start('empty');
+    expect((await next('ready')).size).toBe(0);
+
+    const added = next('added');
+    await mkdir(join(testDir, 'empty', 'sub'));
+    await writeFile(join(testDir, 'empty', 'sub', 'late.png'), 'late');
+    expect((await added).path).toBe(join(testDir, 'empty', 'sub', 'late.png'));
+  });
+
+  it('should debounce bursts of writes into one encode', async () => {
+    start('icons/home.png');
+    await next('ready');
+    encoded = [];
+
+    const update = next('update');
+    for (let i = 0; i < 5; i++) {
+      await writeFile(join(testDir, 'icons', 'home.png'), `home-${i}`);
+    }
+    const results = await update;
+
+    expect(encoded).toEqual(['icons/home.png']);
+    expect(results.get('icons/home.png').data).toBe('data:image/png,home-4');
+  });
+
+  it('should emit errors and keep watching', async () => {
+    start('icons');
+    await next('ready');
+
+    const error = next('error');
+    const update = next('update');
+    await writeFile(join(testDir, 'icons', 'home.png'), 'broken');
+    expect((await error).message).toContain('Cannot encode');
+    expect((await update).get(join(testDir, 'icons', 'home.png')).error).toBeInstanceOf(
+      Error
+    );
+
+    const changed = next('changed');
+    await writeFile(join(testDir, 'icons', 'home.png'), 'fixed');
+    expect((await changed).dataUri).toBe('data:image/png,fixed');
+  });
+
+  it('should keep scanning when no error listener is added', async () => {
+    await writeFile(join(testDir, 'icons', 'broken.png'), 'broken');
+    start('icons');
+
+    const results = await next('ready');
+    expect(results.get(join(testDir, 'icons', 'broken.png')).error.message).toContain(
+      'Cannot encode'
+    );
+    expect(results.get(join(testDir, 'icons', 'home.png')).data).toBe(
+      'data:image/png,home'
+    );
+  });
+
+  it('should report inputs rejected by the path policy', async () => {
+    start('../outside', { roots: [join(testDir, 'icons')] });
+    const error = next('error');
+    watcher.on('ready', () => {});
+
+    expect(await error).toBeInstanceOf(PathSecurityError);
+  });
+
+  it('should stop when closed or aborted', async () => {
+    const controller = new AbortController();
+    start('icons', { signal: controller.signal });
+    await next('ready');
+
+    const closed = next('close');
+    controller.abort();
+    await closed;
+
+    const events = [];
+    watcher.on('changed', (event) => events.push(event));
+    await writeFile(join(testDir, 'icons', 'home.png'), 'late');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(events).toEqual([]);
+  });
+
+  it('should reject an invalid debounce', () => {
+    expect(() => createWatcher('icons', { debounce: -1 }, encodeFile)).toThrow(TypeError);
+  });
+});